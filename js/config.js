@@ -0,0 +1,34 @@
+/**
+ * Configuración de la aplicación
+ * Permite cambiar de proveedor de datos sin modificar script.js
+ */
+export const APP_CONFIG = {
+  // Proveedores por rol. Cada entrada es un nombre registrado en
+  // js/providers/index.js o un objeto { name, options } para apuntar, por
+  // ejemplo, a un servidor local: { name: "exchangerate-api", options: { baseUrl: "http://localhost:4000/latest/" } }
+  providers: {
+    // Listado y tasas actuales de monedas fiduciarias
+    fiat: "exchangerate-api",
+    // Listado, precios e historial de criptomonedas
+    crypto: "coingecko",
+    // Historial diario fiduciario: "frankfurter" o "fixture" (sin conexión)
+    fiatHistory: "frankfurter",
+    // Tipos de cambio del peso argentino (oficial, blue, MEP, CCL, etc.)
+    arsRates: "dolarapi",
+  },
+
+  // Caché de tasas compartida por todos los proveedores (memoria + localStorage)
+  cache: {
+    // Vigencia de las tasas actuales antes de volver a consultarlas
+    ratesTtl: 5 * 60 * 1000,
+    // Vigencia de las series históricas de los gráficos
+    historyTtl: 60 * 60 * 1000,
+  },
+
+  // Alertas de tasas definidas por el usuario
+  alerts: {
+    // Intervalo entre consultas mientras la página está abierta; conviene
+    // que no sea menor que cache.ratesTtl o se leerán las mismas tasas
+    pollInterval: 5 * 60 * 1000,
+  },
+};
@@ -0,0 +1,289 @@
+/**
+ * Intérprete de expresiones para los campos de monto: admite números con
+ * los separadores de la configuración regional ("1.234,56" en es-ES,
+ * "1,234.56" en en-US), sufijos k/M/B (miles, millones, miles de millones),
+ * las cuatro operaciones y paréntesis ("850*12+300", "1,5k", "(2M-300k)/4").
+ *
+ * No usa eval: la expresión se separa en tokens y se evalúa con un parser
+ * descendente recursivo sobre Decimal, así que el resultado es exacto.
+ */
+import { Decimal } from "./decimal.js";
+import { getNumberSeparators } from "./number-format.js";
+
+// Multiplicador de cada sufijo de magnitud
+const SUFFIXES = {
+  k: 1000n,
+  m: 1000000n,
+  b: 1000000000n,
+};
+
+// Operadores aceptados y su forma canónica
+const OPERATORS = {
+  "+": "+",
+  "-": "-",
+  "−": "-",
+  "*": "*",
+  "×": "*",
+  "/": "/",
+  "÷": "/",
+  "(": "(",
+  ")": ")",
+};
+
+/**
+ * Error de una expresión de monto. El código permite mostrar el mensaje
+ * traducido y la posición señala dónde está el problema.
+ */
+export class AmountExpressionError extends Error {
+  /**
+   * @param {string} message - Mensaje técnico
+   * @param {string} code - Código estable ("unexpected-character", ...)
+   * @param {number} position - Posición (desde 1) del carácter con el error
+   * @param {string} [text] - Texto del token problemático
+   */
+  constructor(message, code, position, text = "") {
+    super(message);
+    this.name = "AmountExpressionError";
+    this.code = code;
+    this.position = position;
+    this.text = text;
+  }
+}
+
+/**
+ * Evalúa una expresión de monto
+ * @param {string} expression - Texto escrito por el usuario
+ * @param {string} [locale] - Configuración regional de los separadores
+ * @returns {Decimal} Valor de la expresión
+ * @throws {AmountExpressionError} Si la expresión no es válida
+ */
+export function evaluateAmountExpression(expression, locale = "es-ES") {
+  const tokens = tokenize(expression, getNumberSeparators(locale));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (code, token = peek()) => {
+    throw new AmountExpressionError(
+      `Expresión de monto inválida (${code})`,
+      code,
+      token ? token.position : expression.length + 1,
+      token ? token.text : ""
+    );
+  };
+
+  // expresión := término (("+" | "-") término)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() && (peek().value === "+" || peek().value === "-")) {
+      const operator = tokens[index++].value;
+      const right = parseTerm();
+      value = operator === "+" ? value.add(right) : value.sub(right);
+    }
+    return value;
+  };
+
+  // término := factor (("*" | "/") factor)*
+  const parseTerm = () => {
+    let value = parseFactor();
+    while (peek() && (peek().value === "*" || peek().value === "/")) {
+      const operatorToken = tokens[index++];
+      const right = parseFactor();
+      if (operatorToken.value === "/") {
+        if (right.isZero()) fail("division-by-zero", operatorToken);
+        value = value.div(right);
+      } else {
+        value = value.mul(right);
+      }
+    }
+    return value;
+  };
+
+  // factor := ("+" | "-") factor | número | "(" expresión ")"
+  const parseFactor = () => {
+    const token = peek();
+    if (!token) fail("unexpected-end");
+
+    if (token.value === "+" || token.value === "-") {
+      index++;
+      const value = parseFactor();
+      return token.value === "-" ? value.neg() : value;
+    }
+    if (token.type === "number") {
+      index++;
+      return token.number;
+    }
+    if (token.value === "(") {
+      index++;
+      const value = parseExpression();
+      if (!peek() || peek().value !== ")") {
+        fail("unclosed-parenthesis", token);
+      }
+      index++;
+      return value;
+    }
+    return fail("unexpected-token");
+  };
+
+  if (tokens.length === 0) fail("empty");
+
+  const value = parseExpression();
+  if (index < tokens.length) fail("unexpected-token");
+  return value;
+}
+
+/**
+ * Escribe un monto para un campo de monto: con el separador decimal de la
+ * configuración regional y sin separadores de miles, de modo que
+ * evaluateAmountExpression lo lea igual
+ * @param {Decimal|number|string} value - Monto
+ * @param {string} [locale] - Configuración regional
+ * @returns {string} Monto listo para el campo
+ */
+export function formatAmountInput(value, locale = "es-ES") {
+  const { decimal } = getNumberSeparators(locale);
+  return Decimal.from(value).toString().replace(".", decimal);
+}
+
+/**
+ * Indica si el texto es solo un número escrito tal cual (sin operaciones,
+ * sufijos ni separadores de miles), para no repetirlo en la vista previa
+ * @param {string} expression - Texto escrito por el usuario
+ * @param {Decimal} value - Valor evaluado
+ * @param {string} [locale] - Configuración regional
+ * @returns {boolean} true si el texto ya muestra el valor
+ */
+export function isPlainAmount(expression, value, locale = "es-ES") {
+  return expression.trim() === formatAmountInput(value, locale);
+}
+
+/**
+ * Interpreta un número suelto (sin operaciones ni sufijos) con los
+ * separadores de la configuración regional
+ * @param {string} text - Dígitos y separadores ("1.234,56")
+ * @param {string} [locale] - Configuración regional
+ * @returns {Decimal|null} Número o null si no es válido
+ */
+export function parseLocaleNumber(text, locale = "es-ES") {
+  return /^[\d.,]+$/.test(text)
+    ? parseNumberLiteral(text, getNumberSeparators(locale))
+    : null;
+}
+
+/**
+ * Separa la expresión en números (con su sufijo ya aplicado) y operadores
+ * @param {string} expression - Texto escrito por el usuario
+ * @param {{decimal: string, group: string}} separators - Separadores regionales
+ * @returns {Array<Object>} Tokens con type, value o number, text y position
+ * @throws {AmountExpressionError} Si hay un carácter o número inválido
+ */
+function tokenize(expression, separators) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char in OPERATORS) {
+      tokens.push({
+        type: "operator",
+        value: OPERATORS[char],
+        text: char,
+        position: index + 1,
+      });
+      index++;
+    } else if (/[\d.,]/.test(char)) {
+      const match = /^[\d.,]+/.exec(expression.slice(index));
+      const literal = match[0];
+      const start = index;
+      index += literal.length;
+
+      let number = parseNumberLiteral(literal, separators);
+      if (number === null) {
+        throw new AmountExpressionError(
+          `Número inválido: ${literal}`,
+          "invalid-number",
+          start + 1,
+          literal
+        );
+      }
+
+      // Sufijo de magnitud pegado al número ("1.5k", "2M")
+      const suffix = expression[index] && expression[index].toLowerCase();
+      if (suffix in SUFFIXES && !/[a-z]/i.test(expression[index + 1] || "")) {
+        number = number.mul(Decimal.from(SUFFIXES[suffix]));
+        index++;
+      }
+
+      tokens.push({
+        type: "number",
+        number: number,
+        text: expression.slice(start, index),
+        position: start + 1,
+      });
+    } else {
+      throw new AmountExpressionError(
+        `Carácter inesperado: ${char}`,
+        "unexpected-character",
+        index + 1,
+        char
+      );
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Interpreta un número con separadores. Si aparecen "." y "," el último es
+ * el decimal. Si aparece uno solo, es decimal cuando coincide con el de la
+ * configuración regional; si no, se toma como separador de miles solo si
+ * separa grupos de tres cifras ("1.500" en es-ES, pero "1.5" es 1,5).
+ * @param {string} literal - Dígitos y separadores
+ * @param {{decimal: string, group: string}} separators - Separadores regionales
+ * @returns {Decimal|null} Número o null si no es válido
+ */
+function parseNumberLiteral(literal, separators) {
+  const lastDot = literal.lastIndexOf(".");
+  const lastComma = literal.lastIndexOf(",");
+  let normalized;
+
+  if (lastDot >= 0 && lastComma >= 0) {
+    const [group, decimal] = lastDot > lastComma ? [",", "."] : [".", ","];
+    const [integerPart, ...rest] = literal.split(decimal);
+    if (rest.length !== 1 || !isGrouped(integerPart, group)) return null;
+    normalized = `${integerPart.split(group).join("")}.${rest[0]}`;
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? "." : ",";
+    const parts = literal.split(separator);
+    const looksGrouped =
+      isGrouped(literal, separator) && !literal.startsWith(`0${separator}`);
+
+    if (
+      parts.length > 2 ||
+      (separator !== separators.decimal && looksGrouped)
+    ) {
+      if (!looksGrouped) return null;
+      normalized = parts.join("");
+    } else {
+      normalized = `${parts[0]}.${parts[1]}`;
+    }
+  } else {
+    normalized = literal;
+  }
+
+  return /^(\d+(\.\d*)?|\.\d+)$/.test(normalized)
+    ? Decimal.from(normalized.replace(/\.$/, ""))
+    : null;
+}
+
+// "1.234.567": primer grupo de 1 a 3 cifras y los siguientes de exactamente 3
+function isGrouped(text, separator) {
+  const groups = text.split(separator);
+  return (
+    groups.length > 1 &&
+    /^\d{1,3}$/.test(groups[0]) &&
+    groups.slice(1).every((group) => /^\d{3}$/.test(group))
+  );
+}
@@ -0,0 +1,248 @@
+/**
+ * Lectura y escritura de planillas para la conversión por lotes: separa el
+ * texto pegado o subido en filas, adivina qué columna tiene el monto, la
+ * moneda y la fecha, interpreta cada celda y arma el CSV de resultados.
+ * Igual que el historial, el CSV de salida usa "." decimal e ISO 8601.
+ */
+import { parseLocaleNumber } from "./amount-expression.js";
+import { toCsv } from "./csv.js";
+import { normalizeSearchText } from "./currency-search.js";
+
+// Encabezados reconocidos para cada columna, ya normalizados
+const COLUMN_NAMES = {
+  amount: ["monto", "importe", "amount", "valor", "value", "total"],
+  currency: ["moneda", "divisa", "currency", "moeda"],
+  date: ["fecha", "date", "data", "dia", "day"],
+};
+
+const DELIMITERS = ["\t", ";", ","];
+
+/**
+ * Separa un texto delimitado (CSV o celdas copiadas de una planilla) en
+ * filas. El separador (tabulador, ";" o ",") se detecta en la primera línea
+ * y se respetan los campos entre comillas.
+ * @param {string} text - Contenido del archivo o texto pegado
+ * @returns {Array<Array<string>>} Filas no vacías con sus celdas
+ */
+export function parseDelimitedText(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter =
+    DELIMITERS.find((candidate) => firstLine.includes(candidate)) || ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[index + 1] === "\n") index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map((cells) => cells.map((cell) => cell.trim()))
+    .filter((cells) => cells.some((cell) => cell !== ""));
+}
+
+/**
+ * Adivina las columnas de monto, moneda y fecha a partir del encabezado o,
+ * si no lo reconoce, del contenido de la primera fila
+ * @param {Array<Array<string>>} rows - Filas leídas
+ * @param {string} [locale] - Configuración regional de montos y fechas
+ * @returns {{hasHeader: boolean, amount: number|null, currency: number|null, date: number|null}}
+ *   Índice de cada columna (null si no se encontró) y si la primera fila es
+ *   un encabezado
+ */
+export function guessColumnMapping(rows, locale = "es-ES") {
+  const firstRow = rows[0] || [];
+  const headerNames = firstRow.map((cell) => normalizeSearchText(cell));
+  const findByName = (field) => {
+    const index = headerNames.findIndex((name) =>
+      COLUMN_NAMES[field].includes(name)
+    );
+    return index >= 0 ? index : null;
+  };
+
+  const mapping = {
+    amount: findByName("amount"),
+    currency: findByName("currency"),
+    date: findByName("date"),
+  };
+  const hasHeader = Object.values(mapping).some((index) => index !== null);
+  if (hasHeader) {
+    return { hasHeader: true, ...mapping };
+  }
+
+  // Sin encabezado reconocible: se deduce por el formato de cada celda
+  const findByContent = (matches) => {
+    const index = firstRow.findIndex(matches);
+    return index >= 0 ? index : null;
+  };
+  const amountIndex = findByContent(
+    (cell) => parseAmountCell(cell, locale) !== null
+  );
+
+  return {
+    hasHeader: amountIndex === null,
+    amount: amountIndex,
+    currency: findByContent((cell) => /^[A-Za-z][A-Za-z0-9-]{1,}$/.test(cell)),
+    date: findByContent((cell) => parseDateCell(cell, locale) !== null),
+  };
+}
+
+/**
+ * Interpreta un monto con los mismos separadores que el campo de monto
+ * ("1.234,56", "1,234.56", "$ 1200"). Un único separador seguido de tres
+ * cifras se lee según la configuración regional: "1.500" es 1500 y "1,500"
+ * es 1,5 en es-ES, y al revés en en-US. El signo "-" se conserva para que
+ * la columna se reconozca igual, pero el motor solo convierte montos
+ * positivos: quien llama debe informar los negativos como error de la fila.
+ * @param {string} cell - Celda del monto
+ * @param {string} [locale] - Configuración regional de los separadores
+ * @returns {string|null} Monto con "." decimal o null si no es un número
+ */
+export function parseAmountCell(cell, locale = "es-ES") {
+  const text = String(cell)
+    .replace(/\s/g, "")
+    .replace(/^[^\d.,-]+|[^\d.,]+$/g, "");
+  const negative = text.startsWith("-");
+  const amount = parseLocaleNumber(negative ? text.slice(1) : text, locale);
+
+  if (!amount) return null;
+  return negative ? amount.neg().toString() : amount.toString();
+}
+
+/**
+ * Interpreta una fecha en formato ISO (2026-03-15), que se acepta en
+ * cualquier idioma, o con el día y el mes en el orden de la configuración
+ * regional: 15/03/2026 en es-ES y pt-BR, 03/15/2026 en en-US (también con
+ * "-" o "." entre las partes)
+ * @param {string} cell - Celda de la fecha
+ * @param {string} [locale] - Configuración regional del orden de día y mes
+ * @returns {string|null} Fecha YYYY-MM-DD o null si no se reconoce
+ */
+export function parseDateCell(cell, locale = "es-ES") {
+  const text = String(cell).trim();
+  const isoMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/.exec(text);
+  const localMatch = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+
+  let parts = null;
+  if (isoMatch) {
+    parts = [isoMatch[1], isoMatch[2], isoMatch[3]];
+  } else if (localMatch) {
+    const [, first, second, year] = localMatch;
+    parts = isMonthFirst(locale)
+      ? [year, first, second]
+      : [year, second, first];
+  }
+  if (!parts) return null;
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Orden de las fechas numéricas de la configuración regional: mes primero
+// en en-US ("3/15/2026"), día primero en es-ES y pt-BR
+function isMonthFirst(locale) {
+  const types = new Intl.DateTimeFormat(locale)
+    .formatToParts(new Date(Date.UTC(2026, 2, 15)))
+    .map((part) => part.type);
+  return types.indexOf("month") < types.indexOf("day");
+}
+
+/**
+ * Busca la moneda escrita en una celda: código ISO de moneda fiduciaria,
+ * ID del proveedor de criptomonedas o ticker (la de mayor capitalización si
+ * varias lo comparten)
+ * @param {string} cell - Celda de la moneda
+ * @param {Array<Object>} currencies - Monedas disponibles, por ranking
+ * @returns {Object|null} Moneda encontrada o null
+ */
+export function resolveCurrencyCell(cell, currencies) {
+  const text = String(cell).trim();
+  if (!text) return null;
+
+  const code = text.toUpperCase();
+  const id = text.toLowerCase();
+
+  return (
+    currencies.find(
+      (currency) => currency.type === "fiat" && currency.code === code
+    ) ||
+    currencies.find(
+      (currency) => currency.type === "crypto" && currency.id === id
+    ) ||
+    currencies.find(
+      (currency) => currency.type === "crypto" && currency.code === code
+    ) ||
+    null
+  );
+}
+
+/**
+ * Arma el CSV de resultados: las columnas originales seguidas de la
+ * conversión de cada fila
+ * @param {Array<string>} header - Encabezado original
+ * @param {Array<Object>} results - Una entrada por fila con cells (celdas
+ *   originales) y conversion (resultado del motor) o error (mensaje)
+ * @param {function(string): string} label - Nombre de cada columna agregada
+ *   ("result", "to", "rate", "ratesTimestamp", "sources", "error")
+ * @returns {string} CSV con encabezado
+ */
+export function batchToCsv(header, results, label) {
+  const addedColumns = [
+    "result",
+    "to",
+    "rate",
+    "ratesTimestamp",
+    "sources",
+    "error",
+  ].map((key) => label(key));
+
+  const rows = results.map(({ cells, conversion, error }) => {
+    const added = conversion
+      ? [
+          conversion.result.toString(),
+          conversion.to.code,
+          conversion.rate.toString(),
+          new Date(conversion.timestamp).toISOString(),
+          conversion.sources.map((source) => source.name).join(" + "),
+          "",
+        ]
+      : ["", "", "", "", "", error || ""];
+
+    return [...header.map((name, index) => cells[index] || ""), ...added];
+  });
+
+  return toCsv([[...header, ...addedColumns], ...rows]);
+}
@@ -0,0 +1,62 @@
+/**
+ * Exportación de la serie del gráfico a CSV y JSON para informes y
+ * presentaciones. Igual que el historial, las fechas van en ISO 8601 y los
+ * números con "." decimal y todos sus dígitos, sin el redondeo de pantalla.
+ * Los nombres de las columnas y claves fijas ("date", "pairs", "range",
+ * "points") los traduce la función `label` que pasa la interfaz.
+ *
+ * @typedef {Object} ChartTable
+ * @property {Array<string>} pairs - Pares mostrados ("BTC→EUR")
+ * @property {string} range - ID del rango del gráfico
+ * @property {Array<number>} timestamps - Fecha de cada punto (ms desde epoch)
+ * @property {Array<{name: string, values: Array<number|null>}>} columns -
+ *   Columnas de valores alineadas con `timestamps`
+ */
+import { toCsv } from "./csv.js";
+
+/**
+ * Convierte la serie del gráfico a CSV
+ * @param {ChartTable} table - Serie del gráfico
+ * @param {function(string): string} label - Nombre de cada columna fija
+ * @returns {string} CSV con encabezado
+ */
+export function chartToCsv(table, label) {
+  const header = [label("date"), ...table.columns.map((column) => column.name)];
+  const rows = table.timestamps.map((timestamp, index) => [
+    new Date(timestamp).toISOString(),
+    ...table.columns.map((column) => formatValue(column.values[index])),
+  ]);
+
+  return toCsv([header, ...rows]);
+}
+
+/**
+ * Convierte la serie del gráfico a JSON legible
+ * @param {ChartTable} table - Serie del gráfico
+ * @param {function(string): string} label - Nombre de cada clave fija
+ * @returns {string} JSON con sangría
+ */
+export function chartToJson(table, label) {
+  return JSON.stringify(
+    {
+      [label("pairs")]: table.pairs,
+      [label("range")]: table.range,
+      [label("points")]: table.timestamps.map((timestamp, index) => ({
+        [label("date")]: new Date(timestamp).toISOString(),
+        ...Object.fromEntries(
+          table.columns.map((column) => [
+            column.name,
+            column.values[index] === undefined ? null : column.values[index],
+          ])
+        ),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// Los puntos sin dato quedan como celda vacía
+function formatValue(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
@@ -0,0 +1,139 @@
+/**
+ * Indicadores técnicos del gráfico de precios, como funciones puras sobre
+ * listas de valores. Las series que devuelven tienen el mismo largo que la
+ * entrada y usan null donde todavía no hay datos suficientes, para poder
+ * dibujarlas alineadas con las etiquetas del gráfico.
+ */
+
+/**
+ * Media móvil simple
+ * @param {Array<number>} values - Valores en orden cronológico
+ * @param {number} period - Cantidad de valores promediados
+ * @returns {Array<number|null>} Media de los últimos `period` valores
+ */
+export function simpleMovingAverage(values, period) {
+  let sum = 0;
+
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= period) {
+      sum -= values[index - period];
+    }
+    return index >= period - 1 ? sum / period : null;
+  });
+}
+
+/**
+ * Media móvil exponencial, iniciada con la media simple de los primeros
+ * `period` valores
+ * @param {Array<number>} values - Valores en orden cronológico
+ * @param {number} period - Período de la media
+ * @returns {Array<number|null>} Media exponencial
+ */
+export function exponentialMovingAverage(values, period) {
+  const smoothing = 2 / (period + 1);
+  const seed = simpleMovingAverage(values.slice(0, period), period)[period - 1];
+  let average = null;
+
+  return values.map((value, index) => {
+    if (index < period - 1) return null;
+
+    average =
+      index === period - 1
+        ? seed
+        : value * smoothing + average * (1 - smoothing);
+    return average;
+  });
+}
+
+/**
+ * Bandas de Bollinger: media simple ± `multiplier` desvíos estándar de los
+ * últimos `period` valores
+ * @param {Array<number>} values - Valores en orden cronológico
+ * @param {number} [period] - Período de la media
+ * @param {number} [multiplier] - Desvíos estándar de cada banda
+ * @returns {{middle: Array<number|null>, upper: Array<number|null>, lower: Array<number|null>}}
+ */
+export function bollingerBands(values, period = 20, multiplier = 2) {
+  const middle = simpleMovingAverage(values, period);
+  const deviations = middle.map((average, index) =>
+    average === null
+      ? null
+      : standardDeviation(values.slice(index - period + 1, index + 1))
+  );
+
+  return {
+    middle: middle,
+    upper: middle.map((average, index) =>
+      average === null ? null : average + multiplier * deviations[index]
+    ),
+    lower: middle.map((average, index) =>
+      average === null ? null : average - multiplier * deviations[index]
+    ),
+  };
+}
+
+/**
+ * Valores máximo y mínimo con su posición (la primera si se repiten)
+ * @param {Array<number>} values - Valores
+ * @returns {{max: {index: number, value: number}, min: {index: number, value: number}}|null}
+ *   Extremos o null si no hay valores
+ */
+export function findExtremes(values) {
+  if (values.length === 0) return null;
+
+  return values.reduce(
+    (extremes, value, index) => ({
+      max: value > extremes.max.value ? { index, value } : extremes.max,
+      min: value < extremes.min.value ? { index, value } : extremes.min,
+    }),
+    {
+      max: { index: 0, value: values[0] },
+      min: { index: 0, value: values[0] },
+    }
+  );
+}
+
+/**
+ * Variación entre el primer y el último valor del período
+ * @param {Array<number>} values - Valores en orden cronológico
+ * @returns {{absolute: number, percent: number}|null} Variación absoluta y
+ *   porcentual, o null si hay menos de dos valores
+ */
+export function periodChange(values) {
+  if (values.length < 2) return null;
+
+  const first = values[0];
+  const last = values[values.length - 1];
+
+  return {
+    absolute: last - first,
+    percent: ((last - first) / first) * 100,
+  };
+}
+
+/**
+ * Volatilidad del período: desvío estándar de las variaciones porcentuales
+ * entre valores consecutivos
+ * @param {Array<number>} values - Valores en orden cronológico
+ * @returns {number|null} Volatilidad en porcentaje o null si hay menos de
+ *   tres valores
+ */
+export function volatility(values) {
+  if (values.length < 3) return null;
+
+  const returns = values
+    .slice(1)
+    .map((value, index) => ((value - values[index]) / values[index]) * 100);
+
+  return standardDeviation(returns);
+}
+
+// Desvío estándar poblacional
+function standardDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  return Math.sqrt(variance);
+}
@@ -0,0 +1,114 @@
+/**
+ * Rangos de tiempo del gráfico de precios. Cada rango define cuántos días
+ * se piden al proveedor y cómo se rotulan las fechas según la granularidad
+ * esperada (cada 5 minutos en 24 h, por hora hasta 90 días, diaria después).
+ */
+
+export const DEFAULT_CHART_RANGE = "30d";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_FORMAT = { day: "numeric", month: "short", year: "numeric" };
+
+export const CHART_RANGES = [
+  {
+    id: "1d",
+    days: 1,
+    labelFormat: { hour: "2-digit", minute: "2-digit" },
+    tooltipFormat: {
+      day: "numeric",
+      month: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+    },
+  },
+  {
+    id: "7d",
+    days: 7,
+    labelFormat: { weekday: "short", hour: "2-digit", minute: "2-digit" },
+    tooltipFormat: {
+      day: "numeric",
+      month: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+    },
+  },
+  {
+    id: "30d",
+    days: 30,
+    labelFormat: { day: "numeric", month: "short" },
+    tooltipFormat: {
+      day: "numeric",
+      month: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+    },
+  },
+  {
+    id: "90d",
+    days: 90,
+    labelFormat: { day: "numeric", month: "short" },
+    tooltipFormat: DAILY_FORMAT,
+  },
+  {
+    id: "1y",
+    days: 365,
+    labelFormat: { month: "short", year: "2-digit" },
+    tooltipFormat: DAILY_FORMAT,
+  },
+  {
+    id: "max",
+    days: "max",
+    labelFormat: { month: "short", year: "numeric" },
+    tooltipFormat: DAILY_FORMAT,
+  },
+];
+
+/**
+ * Busca un rango por su ID
+ * @param {string} rangeId - ID del rango ("1d", "7d", "30d", "90d", "1y", "max")
+ * @returns {Object} Rango encontrado o el rango por defecto
+ */
+export function getChartRange(rangeId) {
+  return (
+    CHART_RANGES.find((range) => range.id === rangeId) ||
+    CHART_RANGES.find((range) => range.id === DEFAULT_CHART_RANGE)
+  );
+}
+
+/**
+ * Formatos de fecha para una serie concreta. Las series diarias (como las
+ * fiduciarias del BCE) no muestran horas aunque el rango sea corto.
+ * @param {Object} range - Rango del gráfico
+ * @param {Array<number>} timestamps - Momentos de los puntos, en orden
+ * @returns {{labelFormat: Object, tooltipFormat: Object}} Formatos de fecha
+ */
+export function getChartFormats(range, timestamps) {
+  const intraday =
+    timestamps.length > 1 &&
+    (timestamps[timestamps.length - 1] - timestamps[0]) /
+      (timestamps.length - 1) <
+      DAY_MS;
+
+  if (intraday || range.days === "max" || range.days > 90) {
+    return {
+      labelFormat: range.labelFormat,
+      tooltipFormat: range.tooltipFormat,
+    };
+  }
+
+  return {
+    labelFormat: { day: "numeric", month: "short" },
+    tooltipFormat: DAILY_FORMAT,
+  };
+}
+
+/**
+ * Formatea la fecha de un punto del gráfico según el rango elegido
+ * @param {number} timestamp - Momento del punto (ms desde epoch)
+ * @param {Object} format - Formato de getChartFormats
+ * @param {string} [locale] - Configuración regional
+ * @returns {string} Fecha formateada
+ */
+export function formatChartTimestamp(timestamp, format, locale = "es-ES") {
+  return new Date(timestamp).toLocaleString(locale, format);
+}
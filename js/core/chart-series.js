@@ -0,0 +1,160 @@
+/**
+ * Transformaciones de las series históricas del gráfico de precios.
+ * Las series de líneas son pares [timestamp, valor] y las de velas son
+ * tuplas [timestamp, apertura, máximo, mínimo, cierre], como las entregan
+ * los proveedores. Los pares cruzados (ETH→EUR, BTC→ETH) se arman
+ * combinando las series de cada moneda contra USD.
+ */
+
+/**
+ * Invierte una serie de líneas (A→B pasa a B→A)
+ * @param {Array<[number, number]>} pricePoints - Pares [timestamp, valor]
+ * @returns {Array<[number, number]>} Serie invertida
+ */
+export function invertSeries(pricePoints) {
+  return pricePoints.map(([timestamp, value]) => [timestamp, 1 / value]);
+}
+
+/**
+ * Invierte una serie de velas. Al invertir, el máximo pasa a ser el mínimo
+ * y viceversa.
+ * @param {Array<[number, number, number, number, number]>} candles - Velas OHLC
+ * @returns {Array<[number, number, number, number, number]>} Velas invertidas
+ */
+export function invertCandles(candles) {
+  return candles.map(([timestamp, open, high, low, close]) => [
+    timestamp,
+    1 / open,
+    1 / low,
+    1 / high,
+    1 / close,
+  ]);
+}
+
+// Distancia máxima entre un punto y la tasa que se le aplica. Cubre fines de
+// semana y feriados, en los que el BCE no publica tasas.
+const DEFAULT_MAX_GAP = 4 * 24 * 60 * 60 * 1000;
+
+/**
+ * Crea una función que devuelve el valor vigente de una serie en un momento:
+ * el último publicado hasta ese momento o, antes del inicio de la serie, el
+ * primero si está a menos de `maxGap`. Las consultas deben hacerse en orden
+ * cronológico.
+ * @param {Array<[number, number]>} series - Pares [timestamp, valor] ordenados
+ * @param {number} maxGap - Distancia máxima en ms
+ * @returns {(timestamp: number) => number|undefined} Valor vigente o undefined
+ */
+function createStepLookup(series, maxGap) {
+  let index = 0;
+
+  return (timestamp) => {
+    while (index + 1 < series.length && series[index + 1][0] <= timestamp) {
+      index++;
+    }
+
+    const point = series[index];
+    if (!point || Math.abs(timestamp - point[0]) > maxGap) {
+      return undefined;
+    }
+    return point[1];
+  };
+}
+
+/**
+ * Combina dos series punto a punto. Cada punto de `primary` se cruza con el
+ * valor vigente de `secondary` en ese momento, de modo que una serie horaria
+ * puede combinarse con una diaria. Los puntos sin valor cercano se descartan.
+ * @param {Array<[number, number]>} primary - Serie que define las fechas
+ * @param {Array<[number, number]>} secondary - Serie que se cruza
+ * @param {(a: number, b: number) => number} operation - Cómo combinar los valores
+ * @param {number} [maxGap] - Distancia máxima en ms entre puntos combinados
+ * @returns {Array<[number, number]>} Serie combinada
+ */
+export function combineSeries(
+  primary,
+  secondary,
+  operation,
+  maxGap = DEFAULT_MAX_GAP
+) {
+  const valueAt = createStepLookup(secondary, maxGap);
+
+  return primary
+    .map(([timestamp, value]) => {
+      const secondaryValue = valueAt(timestamp);
+      return secondaryValue === undefined
+        ? null
+        : [timestamp, operation(value, secondaryValue)];
+    })
+    .filter((point) => point);
+}
+
+/**
+ * Multiplica cada vela por la tasa vigente en su momento (por ejemplo, para
+ * pasar velas en USD a EUR con la serie USD→EUR)
+ * @param {Array<[number, number, number, number, number]>} candles - Velas OHLC ordenadas
+ * @param {Array<[number, number]>} rates - Serie de tasas ordenada
+ * @param {number} [maxGap] - Distancia máxima en ms entre vela y tasa
+ * @returns {Array<[number, number, number, number, number]>} Velas convertidas
+ */
+export function scaleCandles(candles, rates, maxGap = DEFAULT_MAX_GAP) {
+  const rateAt = createStepLookup(rates, maxGap);
+
+  return candles
+    .map(([timestamp, open, high, low, close]) => {
+      const rate = rateAt(timestamp);
+      return rate === undefined
+        ? null
+        : [timestamp, open * rate, high * rate, low * rate, close * rate];
+    })
+    .filter((candle) => candle);
+}
+
+/**
+ * Lleva varias series a un eje de tiempo común y las rebasa a `base` en la
+ * primera fecha en que todas tienen datos, para comparar su evolución desde
+ * el mismo punto aunque sus escalas difieran. El eje es el de la serie con
+ * más puntos; las demás toman el valor vigente en cada fecha. Antes de la
+ * fecha base no hay valores rebasados, y si las series no coinciden en
+ * ninguna fecha no los hay en absoluto (baseTimestamp es null).
+ * @param {Array<Array<[number, number]>>} seriesList - Series ordenadas
+ * @param {number} [base] - Valor de cada serie rebasada en la fecha base
+ * @param {number} [maxGap] - Distancia máxima en ms entre puntos alineados
+ * @returns {{timestamps: Array<number>, baseTimestamp: number|null, series: Array<{values: Array<number|null>, rebased: Array<number|null>}>}}
+ *   Eje común, fecha base y, por cada serie, sus valores alineados y
+ *   rebasados
+ */
+export function normalizeSeries(
+  seriesList,
+  base = 100,
+  maxGap = DEFAULT_MAX_GAP
+) {
+  const reference = seriesList.reduce(
+    (longest, series) => (series.length > longest.length ? series : longest),
+    []
+  );
+  const timestamps = reference.map(([timestamp]) => timestamp);
+
+  const alignedValues = seriesList.map((series) => {
+    const valueAt = createStepLookup(series, maxGap);
+    return timestamps.map((timestamp) => {
+      const value = valueAt(timestamp);
+      return value === undefined ? null : value;
+    });
+  });
+  const baseIndex = timestamps.findIndex((timestamp, index) =>
+    alignedValues.every((values) => values[index] !== null)
+  );
+
+  return {
+    timestamps: timestamps,
+    baseTimestamp: baseIndex >= 0 ? timestamps[baseIndex] : null,
+    series: alignedValues.map((values) => ({
+      values: values,
+      rebased: values.map((value, index) =>
+        baseIndex < 0 || index < baseIndex || value === null
+          ? null
+          : (value / values[baseIndex]) * base
+      ),
+    })),
+  };
+}
@@ -0,0 +1,832 @@
+/**
+ * Motor de conversión independiente del DOM.
+ * Recibe monedas como objetos { code, type, id } y obtiene las tasas de los
+ * proveedores configurados, por lo que puede usarse tanto desde la página
+ * como desde Node con proveedores de prueba.
+ *
+ * Toda la aritmética usa Decimal: las tasas de los proveedores se toman por
+ * su valor decimal y el resultado se redondea a la precisión de la moneda
+ * destino.
+ */
+import { getCurrencyDecimals } from "./currency-precision.js";
+import { Decimal } from "./decimal.js";
+
+// Criptomoneda cuyo precio en cada moneda sirve para cruzar tasas históricas
+// de monedas fiduciarias que el proveedor de historial no cubre
+const REFERENCE_CRYPTO_ID = "bitcoin";
+
+/**
+ * Error de validación de una conversión (monto inválido, misma moneda, etc.).
+ * Su mensaje está pensado para mostrarse directamente al usuario.
+ */
+export class ConversionError extends Error {
+  /**
+   * @param {string} message - Mensaje para el usuario
+   * @param {string} code - Código estable del error ("invalid-amount", "same-currency", ...)
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "ConversionError";
+    this.code = code;
+  }
+}
+
+/**
+ * Clave que identifica a una moneda: el ID del proveedor para criptomonedas
+ * y el código ISO para monedas fiduciarias
+ * @param {Object} currency - Moneda con type, code e id
+ * @returns {string} Identificador único
+ */
+export function getCurrencyKey(currency) {
+  return currency.type === "crypto"
+    ? `crypto:${currency.id}`
+    : `fiat:${currency.code}`;
+}
+
+/**
+ * Arma una cotización a partir de la tasa calculada y los datos usados.
+ * La cotización es tan antigua como el dato más antiguo que intervino.
+ * @param {Decimal|number} rate - Tasa de cambio resultante
+ * @param {...Object} sources - Tablas, lotes o cotizaciones con timestamp y offline
+ * @returns {{rate: Decimal, timestamp: number, offline: boolean}} Cotización
+ */
+export function createQuote(rate, ...sources) {
+  return {
+    rate: Decimal.from(rate),
+    timestamp: Math.min(...sources.map((source) => source.timestamp)),
+    offline: sources.some((source) => Boolean(source.offline)),
+  };
+}
+
+export class ConversionEngine {
+  /**
+   * @param {Object} providers
+   * @param {Object} providers.fiat - Proveedor de monedas fiduciarias
+   * @param {Object} providers.crypto - Proveedor de criptomonedas
+   * @param {Object} [providers.fiatHistory] - Proveedor de tasas fiduciarias
+   *   pasadas (con getRatesAt); si falta se usa el fiduciario
+   * @param {Object} [providers.arsRates] - Proveedor de tipos de cambio del
+   *   peso argentino (oficial, blue, MEP...), con getDollarRates
+   */
+  constructor({ fiat, crypto, fiatHistory = null, arsRates = null }) {
+    this.providers = {
+      fiat: fiat,
+      crypto: crypto,
+      fiatHistory: fiatHistory,
+      arsRates: arsRates,
+    };
+  }
+
+  /**
+   * Convierte un monto entre dos monedas
+   * @param {Decimal|number|string} amount - Monto a convertir
+   * @param {Object} fromCurrency - Moneda origen (code, type, id)
+   * @param {Object} toCurrency - Moneda destino (code, type, id)
+   * @param {Object} [options]
+   * @param {string} [options.rateType] - Tipo de cambio del peso argentino
+   *   ("oficial", "blue", "mep", "ccl", "tarjeta", "cripto") si el par incluye ARS
+   * @param {string} [options.date] - Fecha pasada (YYYY-MM-DD) cuyas tasas
+   *   se usan en lugar de las actuales; no se combina con rateType
+   * @returns {Promise<Object>} Conversión con monto, monedas, tasa y resultado
+   *   (Decimal), fecha de las tasas (timestamp), fecha pedida (date o null),
+   *   offline, proveedores usados (sources) y, si se eligió, el tipo de cambio
+   *   con su brecha respecto del oficial (rateType: { id, gap } o null)
+   * @throws {ConversionError} Si el monto o la fecha no son válidos, las
+   *   monedas coinciden o no hay cotización para el tipo de cambio o la fecha
+   */
+  async convert(amount, fromCurrency, toCurrency, options = {}) {
+    const decimalAmount = parseAmount(amount);
+    const date = options.date ? parseDate(options.date) : null;
+    const quote = await this.getQuote(fromCurrency, toCurrency, {
+      ...options,
+      date: date,
+    });
+
+    return this.createConversion(
+      decimalAmount,
+      fromCurrency,
+      toCurrency,
+      quote,
+      date
+    );
+  }
+
+  /**
+   * Calcula el monto de origen necesario para obtener un monto de destino,
+   * con la misma cotización que usaría convert en el sentido origen → destino
+   * @param {Decimal|number|string} targetAmount - Monto de destino deseado
+   * @param {Object} fromCurrency - Moneda origen
+   * @param {Object} toCurrency - Moneda destino
+   * @param {Object} [options] - Mismas opciones que convert (rateType, date)
+   * @returns {Promise<Object>} Conversión (ver convert) cuyo monto es el
+   *   origen calculado y cuyo resultado es el monto de destino pedido
+   * @throws {ConversionError} En los mismos casos que convert
+   */
+  async convertFromTarget(
+    targetAmount,
+    fromCurrency,
+    toCurrency,
+    options = {}
+  ) {
+    const decimalTarget = parseAmount(targetAmount);
+    const date = options.date ? parseDate(options.date) : null;
+    const quote = await this.getQuote(fromCurrency, toCurrency, {
+      ...options,
+      date: date,
+    });
+    const amount = decimalTarget
+      .div(quote.rate)
+      .round(getCurrencyDecimals(fromCurrency));
+
+    return {
+      ...this.createConversion(amount, fromCurrency, toCurrency, quote, date),
+      result: decimalTarget,
+    };
+  }
+
+  /**
+   * Arma el resultado de una conversión a partir de su cotización
+   * @param {Decimal} amount - Monto validado
+   * @param {Object} fromCurrency - Moneda origen
+   * @param {Object} toCurrency - Moneda destino
+   * @param {Object} quote - Cotización de getQuote
+   * @param {string|null} date - Fecha pedida o null para las tasas actuales
+   * @returns {Object} Conversión (ver convert)
+   */
+  createConversion(amount, fromCurrency, toCurrency, quote, date) {
+    return {
+      amount: amount,
+      from: fromCurrency,
+      to: toCurrency,
+      rate: quote.rate,
+      result: amount.mul(quote.rate).round(getCurrencyDecimals(toCurrency)),
+      timestamp: quote.timestamp,
+      date: date,
+      offline: quote.offline,
+      sources: quote.providers
+        ? quote.providers.map((provider) => ({
+            name: provider.name,
+            url: provider.url,
+          }))
+        : this.getSources(fromCurrency, toCurrency, quote.rateType),
+      rateType: quote.rateType || null,
+    };
+  }
+
+  /**
+   * Convierte un monto a varias monedas destino a la vez. Las criptomonedas
+   * involucradas se cotizan en una sola petición y cada tabla fiduciaria se
+   * pide una sola vez; los errores se informan por destino.
+   * @param {Decimal|number|string} amount - Monto a convertir
+   * @param {Object} fromCurrency - Moneda origen
+   * @param {Array<Object>} targets - Monedas destino
+   * @returns {Promise<Array<{target: Object, conversion?: Object, error?: Error}>>}
+   *   Un resultado por destino, en el mismo orden
+   * @throws {ConversionError} Si el monto no es válido
+   */
+  async convertMany(amount, fromCurrency, targets) {
+    const decimalAmount = parseAmount(amount);
+    const session = await this.createBatchSession([fromCurrency, ...targets]);
+
+    const isSource = (target) =>
+      getCurrencyKey(fromCurrency) === getCurrencyKey(target);
+
+    const results = await Promise.all(
+      targets.map(async (target) => {
+        // La moneda origen se resuelve después, con las demás cotizaciones
+        if (isSource(target)) return null;
+
+        try {
+          return {
+            target: target,
+            conversion: await session.convert(
+              decimalAmount,
+              fromCurrency,
+              target
+            ),
+          };
+        } catch (error) {
+          return { target: target, error: error };
+        }
+      })
+    );
+
+    // La moneda origen también puede figurar en la lista de destinos: tasa 1,
+    // sin proveedores y tan antigua como las demás cotizaciones
+    const quoted = results.filter((result) => result && result.conversion);
+    const identityQuote = {
+      rate: Decimal.ONE,
+      timestamp: quoted.length
+        ? Math.min(...quoted.map((result) => result.conversion.timestamp))
+        : Date.now(),
+      offline: false,
+      providers: [],
+    };
+
+    return results.map(
+      (result, index) =>
+        result || {
+          target: targets[index],
+          conversion: this.createConversion(
+            decimalAmount,
+            fromCurrency,
+            targets[index],
+            identityQuote,
+            null
+          ),
+        }
+    );
+  }
+
+  /**
+   * Convierte una lista de montos, cada uno en su moneda y a la tasa de su
+   * fecha (o la actual), a una misma moneda destino. La cotización se pide
+   * una sola vez por moneda y fecha, no por fila, y los errores se informan
+   * por fila.
+   * @param {Array<{amount: Decimal|number|string, currency: Object, date?: string|null}>} items
+   *   Montos a convertir
+   * @param {Object} toCurrency - Moneda destino común
+   * @returns {Promise<Array<{item: Object, conversion?: Object, error?: Error}>>}
+   *   Un resultado por monto, en el mismo orden
+   */
+  async convertBatch(items, toCurrency) {
+    const session = await this.createBatchSession([
+      toCurrency,
+      ...items.filter((item) => !item.date).map((item) => item.currency),
+    ]);
+    const quotes = new Map();
+
+    return Promise.all(
+      items.map(async (item) => {
+        try {
+          const amount = parseAmount(item.amount);
+          const date = item.date ? parseDate(item.date) : null;
+          const sameCurrency =
+            getCurrencyKey(item.currency) === getCurrencyKey(toCurrency);
+
+          // La promesa se guarda antes de esperarla para que las filas con
+          // la misma moneda y fecha compartan una única consulta
+          const quoteKey = `${getCurrencyKey(item.currency)}@${date || ""}`;
+          if (!quotes.has(quoteKey)) {
+            quotes.set(
+              quoteKey,
+              sameCurrency
+                ? Promise.resolve({
+                    ...createQuote(Decimal.ONE, {
+                      timestamp: date ? Date.parse(date) : Date.now(),
+                    }),
+                    providers: [],
+                  })
+                : session.getQuote(item.currency, toCurrency, { date: date })
+            );
+          }
+
+          const quote = await quotes.get(quoteKey);
+          return {
+            item: item,
+            conversion: this.createConversion(
+              amount,
+              item.currency,
+              toCurrency,
+              quote,
+              date
+            ),
+          };
+        } catch (error) {
+          return { item: item, error: error };
+        }
+      })
+    );
+  }
+
+  /**
+   * Crea un motor de vida corta que reutiliza las tasas entre conversiones:
+   * precarga los precios de todas las criptomonedas en una sola consulta y
+   * memoriza las tablas fiduciarias por moneda base
+   * @param {Array<Object>} currencies - Monedas que intervendrán
+   * @returns {Promise<ConversionEngine>} Motor con las tasas compartidas
+   */
+  async createBatchSession(currencies) {
+    const cryptoIds = [
+      ...new Set(
+        currencies
+          .filter((currency) => currency.type === "crypto")
+          .map((currency) => currency.id)
+      ),
+    ];
+    const fiatCodes = [
+      ...new Set([
+        "USD",
+        ...currencies
+          .filter((currency) => currency.type === "fiat")
+          .map((currency) => currency.code),
+      ]),
+    ];
+
+    const fiatProvider = this.providers.fiat;
+    const fiatTables = new Map();
+    const sessionFiatProvider = Object.create(fiatProvider);
+    sessionFiatProvider.getLatestRates = (base) => {
+      if (!fiatTables.has(base)) {
+        fiatTables.set(base, fiatProvider.getLatestRates(base, fiatCodes));
+      }
+      return fiatTables.get(base);
+    };
+
+    const session = new ConversionEngine({
+      ...this.providers,
+      fiat: sessionFiatProvider,
+    });
+
+    if (cryptoIds.length > 0) {
+      try {
+        const pricesInUsd = await this.getCryptoPricesInUsd(cryptoIds);
+        session.getCryptoPricesInUsd = async (ids) => ({
+          ...pricesInUsd,
+          rates: Object.fromEntries(
+            ids.map((id) => [id, pricesInUsd.rates[id]])
+          ),
+        });
+      } catch (error) {
+        // Si el lote falla (por ejemplo, un ID desconocido) cada destino se
+        // cotiza por separado para que el error quede acotado a esa fila
+        console.warn("No se pudo cotizar el lote de criptomonedas:", error);
+      }
+    }
+
+    return session;
+  }
+
+  /**
+   * Obtiene la cotización entre dos monedas según sus tipos.
+   * Las criptomonedas se identifican por su ID, nunca por el ticker.
+   * @param {Object} fromCurrency - Moneda origen
+   * @param {Object} toCurrency - Moneda destino
+   * @param {Object} [options]
+   * @param {string} [options.rateType] - Tipo de cambio del peso argentino
+   * @param {string} [options.date] - Fecha pasada (YYYY-MM-DD) de las tasas
+   * @returns {Promise<Object>} Cotización con rate, timestamp y offline; las
+   *   históricas incluyen además los proveedores usados (providers)
+   * @throws {ConversionError} Si las monedas coinciden
+   */
+  async getQuote(fromCurrency, toCurrency, { rateType, date } = {}) {
+    if (getCurrencyKey(fromCurrency) === getCurrencyKey(toCurrency)) {
+      throw new ConversionError(
+        "⚠️ No puedes convertir una moneda a sí misma. Por favor selecciona monedas diferentes.",
+        "same-currency"
+      );
+    }
+
+    if (date) {
+      return this.getHistoricalQuote(fromCurrency, toCurrency, date);
+    }
+
+    if (
+      rateType &&
+      this.providers.arsRates &&
+      (isArs(fromCurrency) || isArs(toCurrency))
+    ) {
+      return this.getArsQuote(fromCurrency, toCurrency, rateType);
+    }
+
+    if (fromCurrency.type === "fiat" && toCurrency.type === "fiat") {
+      return this.getFiatToFiatExchangeRate(fromCurrency.code, toCurrency.code);
+    } else if (fromCurrency.type === "crypto" && toCurrency.type === "crypto") {
+      return this.getCryptoToCryptoExchangeRate(fromCurrency.id, toCurrency.id);
+    } else if (fromCurrency.type === "fiat" && toCurrency.type === "crypto") {
+      return this.getFiatToCryptoExchangeRate(fromCurrency.code, toCurrency.id);
+    }
+    return this.getCryptoToFiatExchangeRate(fromCurrency.id, toCurrency.code);
+  }
+
+  /**
+   * Proveedores que intervienen en una conversión
+   * @param {Object} fromCurrency - Moneda origen
+   * @param {Object} toCurrency - Moneda destino
+   * @param {Object} [rateType] - Tipo de cambio del peso argentino usado
+   * @returns {Array<{name: string, url: string|null}>} Fuentes de datos
+   */
+  getSources(fromCurrency, toCurrency, rateType = null) {
+    if (rateType) {
+      // El peso se cotiza contra el dólar con el proveedor de tipos de cambio;
+      // la otra moneda, contra el dólar con su propio proveedor
+      const other = isArs(fromCurrency) ? toCurrency : fromCurrency;
+      const sources = [this.providers.arsRates];
+      if (other.type === "crypto") {
+        sources.push(this.providers.crypto);
+      } else if (other.code !== "USD") {
+        sources.push(this.providers.fiat);
+      }
+      return sources.map((provider) => ({
+        name: provider.name,
+        url: provider.url,
+      }));
+    }
+
+    const types = [fromCurrency.type, toCurrency.type];
+    const sources = [];
+
+    if (types.includes("crypto")) {
+      sources.push(this.providers.crypto);
+    }
+    if (types.includes("fiat")) {
+      sources.push(this.providers.fiat);
+    }
+
+    return sources.map((provider) => ({
+      name: provider.name,
+      url: provider.url,
+    }));
+  }
+
+  /**
+   * Obtiene la tasa de cambio de un par con ARS usando un tipo de cambio del
+   * peso argentino. Quien entrega pesos compra dólares (precio de venta) y
+   * quien recibe pesos los vende (precio de compra); la otra moneda se
+   * cotiza contra el dólar.
+   * @param {Object} fromCurrency - Moneda origen
+   * @param {Object} toCurrency - Moneda destino
+   * @param {string} rateType - ID del tipo de cambio ("blue", "mep", ...)
+   * @returns {Promise<Object>} Cotización con la tasa de cambio y el tipo de
+   *   cambio usado con su brecha porcentual respecto del oficial
+   *   (rateType: { id, gap })
+   * @throws {ConversionError} Si el tipo de cambio no está disponible
+   */
+  async getArsQuote(fromCurrency, toCurrency, rateType) {
+    const fromArs = isArs(fromCurrency);
+    const other = fromArs ? toCurrency : fromCurrency;
+    const dollarRates = await this.providers.arsRates.getDollarRates();
+
+    const arsPerUsd = getArsPerUsd(dollarRates, rateType, fromArs);
+    if (arsPerUsd === null) {
+      throw new ConversionError(
+        "El tipo de cambio elegido no está disponible en este momento",
+        "rate-type-unavailable"
+      );
+    }
+    const officialArsPerUsd = getArsPerUsd(dollarRates, "oficial", fromArs);
+
+    // Unidades de USD por 1 unidad de la otra moneda
+    const quotes = [dollarRates];
+    let usdPerOther = Decimal.ONE;
+    if (other.type === "crypto") {
+      const usdQuote = await this.getCryptoToFiatExchangeRate(other.id, "USD");
+      usdPerOther = usdQuote.rate;
+      quotes.push(usdQuote);
+    } else if (other.code !== "USD") {
+      const usdQuote = await this.getFiatToFiatExchangeRate(other.code, "USD");
+      usdPerOther = usdQuote.rate;
+      quotes.push(usdQuote);
+    }
+
+    const rate = fromArs
+      ? Decimal.ONE.div(arsPerUsd).div(usdPerOther)
+      : usdPerOther.mul(arsPerUsd);
+
+    return {
+      ...createQuote(rate, ...quotes),
+      rateType: {
+        id: rateType,
+        gap:
+          officialArsPerUsd === null
+            ? null
+            : (arsPerUsd / officialArsPerUsd - 1) * 100,
+      },
+    };
+  }
+
+  /**
+   * Obtiene la cotización entre dos monedas en una fecha pasada. Sigue los
+   * mismos caminos que la cotización actual: las criptomonedas se cotizan
+   * directamente en la moneda fiduciaria si el proveedor la publica y, si
+   * no, a través de USD.
+   * @param {Object} fromCurrency - Moneda origen
+   * @param {Object} toCurrency - Moneda destino
+   * @param {string} date - Fecha en formato YYYY-MM-DD
+   * @returns {Promise<Object>} Cotización con la fecha real de las tasas y
+   *   los proveedores usados (providers)
+   * @throws {ConversionError} Si no hay cotización para esa fecha
+   */
+  async getHistoricalQuote(fromCurrency, toCurrency, date) {
+    if (fromCurrency.type === "fiat" && toCurrency.type === "fiat") {
+      return this.getFiatRateAt(fromCurrency.code, toCurrency.code, date);
+    } else if (fromCurrency.type === "crypto" && toCurrency.type === "crypto") {
+      const [fromQuote, toQuote] = await Promise.all([
+        this.getCryptoPriceAt(fromCurrency.id, "USD", date),
+        this.getCryptoPriceAt(toCurrency.id, "USD", date),
+      ]);
+      return createHistoricalQuote(
+        fromQuote.rate.div(toQuote.rate),
+        fromQuote,
+        toQuote
+      );
+    } else if (fromCurrency.type === "fiat" && toCurrency.type === "crypto") {
+      const priceQuote = await this.getCryptoPriceAt(
+        toCurrency.id,
+        fromCurrency.code,
+        date
+      );
+      return createHistoricalQuote(
+        Decimal.ONE.div(priceQuote.rate),
+        priceQuote
+      );
+    }
+    return this.getCryptoPriceAt(fromCurrency.id, toCurrency.code, date);
+  }
+
+  /**
+   * Obtiene la tasa entre dos monedas fiduciarias en una fecha pasada. Si el
+   * proveedor de historial no cubre el par (p. ej. ARS en el BCE), la tasa
+   * se cruza con el precio de la criptomoneda de referencia en ambas monedas.
+   * @param {string} base - Código de moneda origen
+   * @param {string} symbol - Código de moneda destino
+   * @param {string} date - Fecha en formato YYYY-MM-DD
+   * @returns {Promise<Object>} Cotización histórica
+   * @throws {ConversionError} Si no hay cotización para esa fecha
+   */
+  async getFiatRateAt(base, symbol, date) {
+    const historyProvider = [
+      this.providers.fiatHistory,
+      this.providers.fiat,
+    ].find((provider) => provider && provider.getRatesAt);
+
+    if (historyProvider) {
+      const rateTable = await historyProvider.getRatesAt(base, [symbol], date);
+      if (typeof rateTable.rates[symbol] === "number") {
+        return createHistoricalQuote(rateTable.rates[symbol], {
+          ...rateTable,
+          providers: [historyProvider],
+        });
+      }
+    }
+
+    const cryptoProvider = this.providers.crypto;
+    if (cryptoProvider.getRatesAt) {
+      const referenceTable = await cryptoProvider.getRatesAt(
+        REFERENCE_CRYPTO_ID,
+        [base, symbol],
+        date
+      );
+      const basePrice = referenceTable.rates[base];
+      const symbolPrice = referenceTable.rates[symbol];
+      if (typeof basePrice === "number" && typeof symbolPrice === "number") {
+        return createHistoricalQuote(Decimal.from(symbolPrice).div(basePrice), {
+          ...referenceTable,
+          providers: [cryptoProvider],
+        });
+      }
+    }
+
+    throw createHistoricalUnavailableError();
+  }
+
+  /**
+   * Obtiene el precio de una criptomoneda en una moneda fiduciaria en una
+   * fecha pasada
+   * @param {string} cryptoId - ID de la criptomoneda
+   * @param {string} fiat - Código de moneda fiduciaria
+   * @param {string} date - Fecha en formato YYYY-MM-DD
+   * @returns {Promise<Object>} Cotización histórica
+   * @throws {ConversionError} Si no hay cotización para esa fecha
+   */
+  async getCryptoPriceAt(cryptoId, fiat, date) {
+    const cryptoProvider = this.providers.crypto;
+    if (!cryptoProvider.getRatesAt) {
+      throw createHistoricalUnavailableError();
+    }
+
+    const rateTable = await cryptoProvider.getRatesAt(
+      cryptoId,
+      [fiat, "USD"],
+      date
+    );
+    const priceTable = { ...rateTable, providers: [cryptoProvider] };
+
+    if (typeof rateTable.rates[fiat] === "number") {
+      return createHistoricalQuote(rateTable.rates[fiat], priceTable);
+    }
+    if (typeof rateTable.rates.USD !== "number") {
+      throw createHistoricalUnavailableError();
+    }
+
+    // Monedas que el proveedor no publica: precio en USD por la tasa del día
+    const usdQuote = await this.getFiatRateAt("USD", fiat, date);
+    return createHistoricalQuote(
+      usdQuote.rate.mul(rateTable.rates.USD),
+      priceTable,
+      usdQuote
+    );
+  }
+
+  /**
+   * Obtiene la tasa de cambio entre dos monedas fiduciarias
+   * @param {string} fromCurrency - Código de moneda origen
+   * @param {string} toCurrency - Código de moneda destino
+   * @returns {Promise<Object>} Cotización con la tasa de cambio
+   */
+  async getFiatToFiatExchangeRate(fromCurrency, toCurrency) {
+    const rateTable = await this.providers.fiat.getLatestRates(fromCurrency, [
+      toCurrency,
+    ]);
+
+    return createQuote(rateTable.rates[toCurrency], rateTable);
+  }
+
+  /**
+   * Obtiene la tasa de cambio entre dos criptomonedas
+   * @param {string} fromCryptoId - ID de la criptomoneda origen
+   * @param {string} toCryptoId - ID de la criptomoneda destino
+   * @returns {Promise<Object>} Cotización con la tasa de cambio
+   */
+  async getCryptoToCryptoExchangeRate(fromCryptoId, toCryptoId) {
+    const pricesInUsd = await this.getCryptoPricesInUsd([
+      fromCryptoId,
+      toCryptoId,
+    ]);
+
+    return createQuote(
+      Decimal.from(pricesInUsd.rates[fromCryptoId]).div(
+        pricesInUsd.rates[toCryptoId]
+      ),
+      pricesInUsd
+    );
+  }
+
+  /**
+   * Obtiene la tasa de cambio de moneda fiduciaria a criptomoneda
+   * @param {string} fromFiat - Código de moneda fiduciaria
+   * @param {string} cryptoId - ID de la criptomoneda destino
+   * @returns {Promise<Object>} Cotización con la tasa de cambio
+   */
+  async getFiatToCryptoExchangeRate(fromFiat, cryptoId) {
+    // Obtener precio de la criptomoneda en USD
+    const pricesInUsd = await this.getCryptoPricesInUsd([cryptoId]);
+    const cryptoPriceInUsd = pricesInUsd.rates[cryptoId];
+
+    if (fromFiat === "USD") {
+      return createQuote(Decimal.ONE.div(cryptoPriceInUsd), pricesInUsd);
+    }
+
+    // Obtener tasa de cambio de la moneda fiduciaria a USD
+    const usdQuote = await this.getFiatToFiatExchangeRate(fromFiat, "USD");
+
+    return createQuote(
+      usdQuote.rate.div(cryptoPriceInUsd),
+      pricesInUsd,
+      usdQuote
+    );
+  }
+
+  /**
+   * Obtiene la tasa de cambio de criptomoneda a moneda fiduciaria
+   * @param {string} cryptoId - ID de la criptomoneda origen
+   * @param {string} toFiat - Código de moneda fiduciaria
+   * @returns {Promise<Object>} Cotización con la tasa de cambio
+   */
+  async getCryptoToFiatExchangeRate(cryptoId, toFiat) {
+    // Obtener precio de la criptomoneda en USD
+    const pricesInUsd = await this.getCryptoPricesInUsd([cryptoId]);
+    const cryptoPriceInUsd = pricesInUsd.rates[cryptoId];
+
+    if (toFiat === "USD") {
+      return createQuote(cryptoPriceInUsd, pricesInUsd);
+    }
+
+    // Obtener tasa de cambio de USD a la moneda fiduciaria destino
+    const usdToFiatQuote = await this.getFiatToFiatExchangeRate("USD", toFiat);
+
+    return createQuote(
+      usdToFiatQuote.rate.mul(cryptoPriceInUsd),
+      pricesInUsd,
+      usdToFiatQuote
+    );
+  }
+
+  /**
+   * Obtiene el precio en USD de una o más criptomonedas en una sola consulta
+   * @param {string[]} cryptoIds - IDs del proveedor de criptomonedas
+   * @returns {Promise<Object>} Lote con el precio en USD por ID
+   */
+  async getCryptoPricesInUsd(cryptoIds) {
+    const cryptoProvider = this.providers.crypto;
+
+    if (cryptoProvider.getLatestRatesBatch) {
+      return cryptoProvider.getLatestRatesBatch(cryptoIds, "USD");
+    }
+
+    // Proveedores sin consulta agrupada: una petición por criptomoneda
+    const rateTables = await Promise.all(
+      cryptoIds.map((cryptoId) =>
+        cryptoProvider.getLatestRates(cryptoId, ["USD"])
+      )
+    );
+
+    return {
+      symbol: "USD",
+      rates: Object.fromEntries(
+        rateTables.map((rateTable, index) => [
+          cryptoIds[index],
+          rateTable.rates.USD,
+        ])
+      ),
+      timestamp: Math.min(
+        ...rateTables.map((rateTable) => rateTable.timestamp)
+      ),
+      offline: rateTables.some((rateTable) => Boolean(rateTable.offline)),
+    };
+  }
+}
+
+/**
+ * Arma una cotización histórica, que además de la tasa recuerda los
+ * proveedores que intervinieron (el camino depende de la cobertura de cada
+ * proveedor en esa fecha)
+ * @param {Decimal|number} rate - Tasa de cambio resultante
+ * @param {...Object} sources - Tablas o cotizaciones con timestamp y providers
+ * @returns {Object} Cotización con providers
+ */
+function createHistoricalQuote(rate, ...sources) {
+  return {
+    ...createQuote(rate, ...sources),
+    providers: [...new Set(sources.flatMap((source) => source.providers))],
+  };
+}
+
+function createHistoricalUnavailableError() {
+  return new ConversionError(
+    "No hay cotización disponible para la fecha elegida",
+    "historical-unavailable"
+  );
+}
+
+/**
+ * Valida una fecha pasada en formato YYYY-MM-DD
+ * @param {string} date - Fecha elegida
+ * @returns {string} La misma fecha
+ * @throws {ConversionError} Si el formato no es válido o la fecha es futura
+ */
+function parseDate(date) {
+  const timestamp = Date.parse(date);
+
+  // Date.parse acepta días inexistentes ("2026-02-30") y los pasa al mes
+  // siguiente, así que se comprueba que la fecha se lea igual de vuelta
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+    Number.isNaN(timestamp) ||
+    new Date(timestamp).toISOString().slice(0, 10) !== date ||
+    timestamp > Date.now()
+  ) {
+    throw new ConversionError(
+      "Por favor elige una fecha válida que no sea futura",
+      "invalid-date"
+    );
+  }
+  return date;
+}
+
+/**
+ * Indica si una moneda es el peso argentino
+ * @param {Object} currency - Moneda con type y code
+ * @returns {boolean} true si es ARS
+ */
+function isArs(currency) {
+  return currency.type === "fiat" && currency.code === "ARS";
+}
+
+/**
+ * Pesos por dólar de un tipo de cambio según el sentido de la operación
+ * @param {Object} dollarRates - Cotizaciones del proveedor de tipos de cambio
+ * @param {string} rateType - ID del tipo de cambio
+ * @param {boolean} buyingDollars - true si se entregan pesos (precio de venta)
+ * @returns {number|null} Pesos por dólar o null si el tipo no está disponible
+ */
+function getArsPerUsd(dollarRates, rateType, buyingDollars) {
+  const quote = dollarRates.rates[rateType];
+  if (!quote) return null;
+
+  // Algunos tipos (tarjeta) solo publican precio de venta
+  return buyingDollars ? quote.sell : quote.buy ?? quote.sell;
+}
+
+/**
+ * Valida y convierte el monto ingresado a Decimal
+ * @param {Decimal|number|string} amount - Monto a convertir
+ * @returns {Decimal} Monto positivo
+ * @throws {ConversionError} Si el monto no es un número positivo
+ */
+function parseAmount(amount) {
+  let decimalAmount;
+  try {
+    decimalAmount = Decimal.from(amount);
+  } catch (error) {
+    decimalAmount = Decimal.ZERO;
+  }
+
+  if (decimalAmount.cmp(0) <= 0) {
+    throw new ConversionError(
+      "Por favor ingresa un monto válido",
+      "invalid-amount"
+    );
+  }
+  return decimalAmount;
+}
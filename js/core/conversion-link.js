@@ -0,0 +1,83 @@
+/**
+ * Enlaces compartibles de una conversión: `?from=ARS&to=bitcoin&amount=15000`,
+ * con `&date=2026-03-15` si se convirtió con las tasas de una fecha pasada y
+ * `&rateType=blue` si se usó un tipo de cambio del peso argentino.
+ * Las monedas fiduciarias se identifican por su código ISO 4217 y las
+ * criptomonedas por el ID del proveedor, ya que el ticker puede repetirse.
+ */
+
+/**
+ * Valor que identifica a una moneda en el enlace
+ * @param {Object} currency - Moneda con code, type e id
+ * @returns {string} ID de la criptomoneda o código de la moneda fiduciaria
+ */
+export function getCurrencyParam(currency) {
+  return currency.type === "crypto" ? currency.id : currency.code;
+}
+
+/**
+ * Construye la query string de una conversión
+ * @param {Object} conversion - Conversión con from, to, amount, date (o null)
+ *   y rateType (ID del tipo de cambio o null)
+ * @returns {string} Query string que empieza con "?"
+ */
+export function buildConversionQuery({ from, to, amount, date, rateType }) {
+  const params = new URLSearchParams();
+  params.set("from", getCurrencyParam(from));
+  params.set("to", getCurrencyParam(to));
+  params.set("amount", String(amount));
+  if (date) {
+    params.set("date", date);
+  }
+  if (rateType) {
+    params.set("rateType", rateType);
+  }
+  return `?${params.toString()}`;
+}
+
+/**
+ * Lee los parámetros de conversión de una query string
+ * @param {string} search - Query string (p. ej. location.search)
+ * @returns {{from: string|null, to: string|null, amount: string|null, date: string|null, rateType: string|null}|null}
+ *   Parámetros presentes o null si el enlace no describe ninguna conversión
+ */
+export function parseConversionQuery(search) {
+  const params = new URLSearchParams(search);
+  const from = params.get("from");
+  const to = params.get("to");
+  const amount = params.get("amount");
+
+  if (!from && !to && !amount) {
+    return null;
+  }
+  return {
+    from: from,
+    to: to,
+    amount: amount,
+    date: params.get("date"),
+    rateType: params.get("rateType"),
+  };
+}
+
+/**
+ * Busca la moneda a la que se refiere un parámetro del enlace
+ * @param {string|null} param - Valor de from o to
+ * @param {Array<Object>} currencies - Monedas disponibles
+ * @returns {Object|null} Moneda encontrada o null
+ */
+export function resolveCurrencyParam(param, currencies) {
+  if (!param) return null;
+
+  // Los IDs de criptomonedas van en minúsculas y los códigos ISO en mayúsculas
+  const cryptoCurrency = currencies.find(
+    (currency) => currency.type === "crypto" && currency.id === param
+  );
+  if (cryptoCurrency) return cryptoCurrency;
+
+  const code = param.toUpperCase();
+  return (
+    currencies.find(
+      (currency) => currency.type === "fiat" && currency.code === code
+    ) || null
+  );
+}
@@ -0,0 +1,24 @@
+/**
+ * Escritura de CSV compartida por las exportaciones (historial, gráfico y
+ * conversión por lotes): campos separados por coma, entre comillas cuando
+ * contienen comas, comillas o saltos de línea, y filas terminadas en CRLF.
+ */
+
+/**
+ * Arma un CSV a partir de sus filas
+ * @param {Array<Array<*>>} rows - Filas con sus campos, encabezado incluido
+ * @returns {string} CSV
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCsvField).join(",")).join("\r\n");
+}
+
+/**
+ * Escapa un campo de CSV
+ * @param {*} value - Valor del campo
+ * @returns {string} Campo listo para unir con comas
+ */
+export function escapeCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,72 @@
+/**
+ * Precisión de cada moneda: unidades menores ISO 4217 para monedas
+ * fiduciarias y decimales nativos del token para criptomonedas.
+ *
+ * Las unidades menores salen del dataset de monedas (`minorUnits` en
+ * data/currencies.json), que la aplicación registra al cargarlo con
+ * setFiatMinorUnits.
+ */
+
+export const DEFAULT_FIAT_DECIMALS = 2;
+export const DEFAULT_CRYPTO_DECIMALS = 8;
+
+// Unidades menores ISO 4217 por código, tomadas de data/currencies.json
+let fiatMinorUnits = {};
+
+// Decimales nativos de criptomonedas conocidas, por ID de CoinGecko
+const CRYPTO_DECIMALS = {
+  bitcoin: 8,
+  ethereum: 18,
+  tether: 6,
+  "usd-coin": 6,
+  binancecoin: 18,
+  solana: 9,
+  ripple: 6,
+  cardano: 6,
+  dogecoin: 8,
+  tron: 6,
+  litecoin: 8,
+  "bitcoin-cash": 8,
+  polkadot: 10,
+  stellar: 7,
+  chainlink: 18,
+  "avalanche-2": 18,
+  "matic-network": 18,
+  "shiba-inu": 18,
+  dai: 18,
+  uniswap: 18,
+  monero: 12,
+  cosmos: 6,
+  "wrapped-bitcoin": 8,
+};
+
+/**
+ * Devuelve la cantidad de decimales con la que se expresa una moneda.
+ * Un campo `decimals` en la propia moneda tiene prioridad sobre las tablas.
+ * @param {Object} currency - Moneda con type, code e id
+ * @returns {number} Decimales de la moneda
+ */
+export function getCurrencyDecimals(currency) {
+  if (Number.isInteger(currency.decimals)) {
+    return currency.decimals;
+  }
+
+  if (currency.type === "crypto") {
+    return CRYPTO_DECIMALS[currency.id] ?? DEFAULT_CRYPTO_DECIMALS;
+  }
+
+  return fiatMinorUnits[currency.code] ?? DEFAULT_FIAT_DECIMALS;
+}
+
+/**
+ * Registra las unidades menores de las monedas fiduciarias
+ * @param {Object<string, {minorUnits?: number}>} metadata - Metadatos por
+ *   código, como `currencies` de data/currencies.json
+ */
+export function setFiatMinorUnits(metadata) {
+  fiatMinorUnits = Object.fromEntries(
+    Object.entries(metadata)
+      .filter(([, currency]) => Number.isInteger(currency.minorUnits))
+      .map(([code, currency]) => [code, currency.minorUnits])
+  );
+}
@@ -0,0 +1,172 @@
+/**
+ * Búsqueda de monedas para el autocompletado: ignora acentos y mayúsculas,
+ * tolera errores de tipeo y ordena por relevancia. Además del código y el
+ * nombre se buscan alias como países y símbolos ("$", "€", "₿").
+ */
+
+// Niveles de relevancia, de mayor a menor
+const MATCH_EXACT_CODE = 0;
+const MATCH_EXACT_ALIAS = 1;
+const MATCH_CODE_PREFIX = 2;
+const MATCH_WORD_PREFIX = 3;
+const MATCH_SUBSTRING = 4;
+const MATCH_FUZZY = 5;
+
+/**
+ * Normaliza un texto para compararlo: minúsculas y sin acentos
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+export function normalizeSearchText(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Alias de una moneda según el archivo data/currency-aliases.json, más su
+ * símbolo si la moneda lo trae de los metadatos ISO 4217
+ * @param {Object} currency - Moneda con code, type e id
+ * @param {{fiat?: Object, crypto?: Object}} aliases - Alias por código
+ *   (fiduciarias) o por ID del proveedor (criptomonedas)
+ * @returns {Array<string>} Alias de la moneda
+ */
+export function getCurrencyAliases(currency, aliases) {
+  const byType = (aliases && aliases[currency.type]) || {};
+  const currencyAliases =
+    (currency.type === "crypto"
+      ? byType[currency.id]
+      : byType[currency.code]) || [];
+
+  return currency.symbol && !currencyAliases.includes(currency.symbol)
+    ? [...currencyAliases, currency.symbol]
+    : currencyAliases;
+}
+
+/**
+ * Busca monedas y las ordena por relevancia: código exacto, alias o nombre
+ * exacto, prefijo del código, prefijo de una palabra, coincidencia parcial y
+ * por último coincidencias aproximadas. Dentro de cada nivel se conserva el
+ * orden original del listado.
+ * @param {string} query - Texto ingresado
+ * @param {Array<Object>} currencies - Monedas disponibles
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Alias (ver getCurrencyAliases)
+ * @param {number} [options.limit] - Cantidad máxima de resultados
+ * @returns {Array<Object>} Monedas encontradas, de más a menos relevante
+ */
+export function searchCurrencies(
+  query,
+  currencies,
+  { aliases = {}, limit = Infinity } = {}
+) {
+  const normalizedQuery = normalizeSearchText(query);
+  if (!normalizedQuery) return [];
+
+  const queryTokens = normalizedQuery.split(/\s+/);
+
+  return currencies
+    .map((currency, index) => ({
+      currency: currency,
+      index: index,
+      score: scoreCurrency(
+        normalizedQuery,
+        queryTokens,
+        currency,
+        getCurrencyAliases(currency, aliases)
+      ),
+    }))
+    .filter((match) => match.score !== null)
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .slice(0, limit)
+    .map((match) => match.currency);
+}
+
+/**
+ * Relevancia de una moneda para la búsqueda
+ * @returns {number|null} Puntaje (menor es mejor) o null si no coincide
+ */
+function scoreCurrency(normalizedQuery, queryTokens, currency, aliases) {
+  const code = normalizeSearchText(currency.code);
+  const texts = [currency.name, ...aliases].map(normalizeSearchText);
+  const words = texts.flatMap((text) => text.split(/\s+/));
+
+  if (normalizedQuery === code) return MATCH_EXACT_CODE;
+  if (texts.includes(normalizedQuery)) return MATCH_EXACT_ALIAS;
+  if (code.startsWith(normalizedQuery)) return MATCH_CODE_PREFIX;
+
+  if (
+    queryTokens.every((token) => words.some((word) => word.startsWith(token)))
+  ) {
+    return MATCH_WORD_PREFIX;
+  }
+  if (texts.some((text) => text.includes(normalizedQuery))) {
+    return MATCH_SUBSTRING;
+  }
+
+  // Cada palabra buscada debe parecerse a alguna palabra de la moneda; la
+  // distancia total desempata entre coincidencias aproximadas
+  let totalDistance = 0;
+  for (const token of queryTokens) {
+    const maxDistance = getMaxTypos(token);
+    if (maxDistance === 0) return null;
+
+    const distance = Math.min(
+      ...words.map((word) =>
+        Math.min(
+          editDistance(token, word),
+          // También mientras se escribe: "bitcon" contra "bitcoi" (de bitcoin)
+          editDistance(token, word.slice(0, token.length))
+        )
+      )
+    );
+    if (distance > maxDistance) return null;
+    totalDistance += distance;
+  }
+
+  return MATCH_FUZZY + totalDistance / 10;
+}
+
+// Errores de tipeo tolerados según el largo de la palabra buscada
+function getMaxTypos(token) {
+  if (token.length < 4) return 0;
+  if (token.length < 6) return 1;
+  return 2;
+}
+
+/**
+ * Distancia de edición entre dos textos (inserciones, borrados, reemplazos
+ * y transposiciones de letras vecinas)
+ * @param {string} a - Primer texto
+ * @param {string} b - Segundo texto
+ * @returns {number} Cantidad mínima de ediciones
+ */
+function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) =>
+      i === 0 ? j : j === 0 ? i : 0
+    )
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(
+          distances[i][j],
+          distances[i - 2][j - 2] + 1
+        );
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+}
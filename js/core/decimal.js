@@ -0,0 +1,215 @@
+/**
+ * Aritmética decimal de precisión arbitraria basada en BigInt.
+ * Un Decimal representa coefficient / 10^scale, de modo que sumas, restas y
+ * multiplicaciones son exactas y las divisiones se redondean a una escala fija.
+ */
+
+// Decimales con los que se calcula una división (sobra para tasas de 1e-12)
+const DIVISION_SCALE = 32;
+
+const DECIMAL_PATTERN = /^([+-])?(\d+)?(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+export class Decimal {
+  /**
+   * @param {bigint} coefficient - Dígitos sin punto decimal
+   * @param {number} scale - Cantidad de decimales del coeficiente
+   */
+  constructor(coefficient, scale = 0) {
+    this.coefficient = coefficient;
+    this.scale = scale;
+  }
+
+  /**
+   * Crea un Decimal a partir de otro Decimal, un número, un BigInt o un texto.
+   * Los números se toman por su representación decimal más corta (la misma
+   * que tenían en el JSON del proveedor), no por su valor binario.
+   * @param {Decimal|number|bigint|string} value - Valor a convertir
+   * @returns {Decimal} Valor decimal
+   * @throws {Error} Si el valor no es un número finito
+   */
+  static from(value) {
+    if (value instanceof Decimal) {
+      return value;
+    }
+    if (typeof value === "bigint") {
+      return new Decimal(value, 0);
+    }
+    if (typeof value === "number" && !Number.isFinite(value)) {
+      throw new Error(`Número decimal inválido: ${value}`);
+    }
+
+    const match = String(value).trim().match(DECIMAL_PATTERN);
+    if (!match || (match[2] === undefined && !match[3])) {
+      throw new Error(`Número decimal inválido: ${value}`);
+    }
+
+    const [, sign, integerDigits = "", fractionDigits = "", exponent] = match;
+    let coefficient = BigInt(`${integerDigits}${fractionDigits}` || "0");
+    let scale = fractionDigits.length - Number(exponent || 0);
+
+    if (scale < 0) {
+      coefficient *= 10n ** BigInt(-scale);
+      scale = 0;
+    }
+
+    return new Decimal(sign === "-" ? -coefficient : coefficient, scale);
+  }
+
+  add(other) {
+    const [a, b, scale] = alignScales(this, Decimal.from(other));
+    return new Decimal(a + b, scale);
+  }
+
+  sub(other) {
+    const [a, b, scale] = alignScales(this, Decimal.from(other));
+    return new Decimal(a - b, scale);
+  }
+
+  mul(other) {
+    const factor = Decimal.from(other);
+    return new Decimal(
+      this.coefficient * factor.coefficient,
+      this.scale + factor.scale
+    );
+  }
+
+  /**
+   * Divide y redondea el cociente a la escala indicada
+   * @param {Decimal|number|bigint|string} other - Divisor
+   * @param {number} [scale] - Decimales del resultado
+   * @returns {Decimal} Cociente
+   * @throws {RangeError} Si el divisor es cero
+   */
+  div(other, scale = Math.max(DIVISION_SCALE, this.scale)) {
+    const divisor = Decimal.from(other);
+    if (divisor.coefficient === 0n) {
+      throw new RangeError("División por cero");
+    }
+
+    const numerator = this.coefficient * 10n ** BigInt(scale + divisor.scale);
+    const denominator = divisor.coefficient * 10n ** BigInt(this.scale);
+
+    return new Decimal(divideRounded(numerator, denominator), scale).trim();
+  }
+
+  /**
+   * Redondea a una cantidad de decimales (mitades hacia afuera del cero)
+   * @param {number} decimals - Decimales a conservar
+   * @returns {Decimal} Valor redondeado
+   */
+  round(decimals) {
+    if (decimals >= this.scale) {
+      return this;
+    }
+
+    const divisor = 10n ** BigInt(this.scale - decimals);
+    return new Decimal(divideRounded(this.coefficient, divisor), decimals);
+  }
+
+  /**
+   * Elimina ceros sobrantes a la derecha sin cambiar el valor
+   * @returns {Decimal} Valor con la escala mínima
+   */
+  trim() {
+    let { coefficient, scale } = this;
+    while (scale > 0 && coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      scale -= 1;
+    }
+    return new Decimal(coefficient, scale);
+  }
+
+  neg() {
+    return new Decimal(-this.coefficient, this.scale);
+  }
+
+  abs() {
+    return this.coefficient < 0n ? this.neg() : this;
+  }
+
+  /**
+   * Compara con otro valor
+   * @param {Decimal|number|bigint|string} other - Valor a comparar
+   * @returns {number} -1, 0 o 1
+   */
+  cmp(other) {
+    const [a, b] = alignScales(this, Decimal.from(other));
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+
+  isZero() {
+    return this.coefficient === 0n;
+  }
+
+  isNegative() {
+    return this.coefficient < 0n;
+  }
+
+  /**
+   * Representación con una cantidad fija de decimales, sin notación exponencial
+   * @param {number} decimals - Decimales a mostrar
+   * @returns {string} Valor redondeado, con "." como separador
+   */
+  toFixed(decimals) {
+    const rounded = this.round(decimals);
+    const coefficient =
+      rounded.coefficient * 10n ** BigInt(decimals - rounded.scale);
+    const padded = (coefficient < 0n ? -coefficient : coefficient)
+      .toString()
+      .padStart(decimals + 1, "0");
+    const integerPart = padded.slice(0, padded.length - decimals);
+    const fractionPart = padded.slice(padded.length - decimals);
+    const sign = coefficient < 0n ? "-" : "";
+
+    return decimals > 0
+      ? `${sign}${integerPart}.${fractionPart}`
+      : `${sign}${integerPart}`;
+  }
+
+  toString() {
+    const trimmed = this.trim();
+    return trimmed.toFixed(trimmed.scale);
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  toNumber() {
+    return Number(this.toString());
+  }
+}
+
+Decimal.ZERO = new Decimal(0n, 0);
+Decimal.ONE = new Decimal(1n, 0);
+
+/**
+ * Lleva dos decimales a la misma escala
+ * @returns {[bigint, bigint, number]} Coeficientes alineados y la escala común
+ */
+function alignScales(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [
+    a.coefficient * 10n ** BigInt(scale - a.scale),
+    b.coefficient * 10n ** BigInt(scale - b.scale),
+    scale,
+  ];
+}
+
+/**
+ * División entera redondeando las mitades hacia afuera del cero
+ * @param {bigint} numerator - Dividendo
+ * @param {bigint} denominator - Divisor distinto de cero
+ * @returns {bigint} Cociente redondeado
+ */
+function divideRounded(numerator, denominator) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const absRemainder = remainder < 0n ? -remainder : remainder;
+  const absDenominator = denominator < 0n ? -denominator : denominator;
+
+  if (absRemainder * 2n < absDenominator) {
+    return quotient;
+  }
+  return numerator < 0n !== denominator < 0n ? quotient - 1n : quotient + 1n;
+}
@@ -0,0 +1,60 @@
+/**
+ * Exportación del historial de conversiones a CSV y JSON para informes de
+ * gastos. Los números se escriben con "." decimal y las fechas en ISO 8601
+ * para que las planillas los interpreten sin depender del idioma. Los
+ * nombres de las columnas del CSV y los valores "yes"/"no" los traduce la
+ * función `label` que pasa la interfaz.
+ */
+import { toCsv } from "./csv.js";
+
+const CSV_COLUMNS = [
+  ["convertedAt", (entry) => new Date(entry.convertedAt).toISOString()],
+  ["amount", (entry) => entry.amount],
+  ["from", (entry) => entry.from.code],
+  ["fromId", (entry) => entry.from.id || ""],
+  ["result", (entry) => entry.result],
+  ["to", (entry) => entry.to.code],
+  ["toId", (entry) => entry.to.id || ""],
+  ["rate", (entry) => entry.rate],
+  ["ratesTimestamp", (entry) => new Date(entry.ratesTimestamp).toISOString()],
+  ["date", (entry) => entry.date || ""],
+  ["rateType", (entry) => entry.rateType || ""],
+  ["offline", (entry, label) => label(entry.offline ? "yes" : "no")],
+  [
+    "sources",
+    (entry) => entry.sources.map((source) => source.name).join(" + "),
+  ],
+];
+
+/**
+ * Convierte las entradas del historial a CSV
+ * @param {Array<Object>} entries - Entradas de ConversionHistory
+ * @param {function(string): string} label - Nombre de cada columna ("amount",
+ *   "rate"...) y de los valores "yes" y "no"
+ * @returns {string} CSV con encabezado
+ */
+export function historyToCsv(entries, label) {
+  const header = CSV_COLUMNS.map(([key]) => label(key));
+  const rows = entries.map((entry) =>
+    CSV_COLUMNS.map(([, getValue]) => getValue(entry, label))
+  );
+
+  return toCsv([header, ...rows]);
+}
+
+/**
+ * Convierte las entradas del historial a JSON legible
+ * @param {Array<Object>} entries - Entradas de ConversionHistory
+ * @returns {string} JSON con sangría
+ */
+export function historyToJson(entries) {
+  return JSON.stringify(
+    entries.map(({ id, ...entry }) => ({
+      ...entry,
+      convertedAt: new Date(entry.convertedAt).toISOString(),
+      ratesTimestamp: new Date(entry.ratesTimestamp).toISOString(),
+    })),
+    null,
+    2
+  );
+}
@@ -0,0 +1,123 @@
+import { Decimal } from "./decimal.js";
+import { getCurrencyDecimals } from "./currency-precision.js";
+
+/**
+ * Formatea un valor decimal según la configuración regional sin pasar por
+ * números de coma flotante: la parte entera se agrupa con Intl sobre un
+ * BigInt y los decimales se toman tal cual del Decimal.
+ * @param {Decimal|number|string} value - Valor a formatear
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Configuración regional
+ * @param {number} [options.minimumFractionDigits] - Decimales mínimos
+ * @param {number} [options.maximumFractionDigits] - Decimales máximos
+ * @returns {string} Valor formateado
+ */
+export function formatDecimal(
+  value,
+  {
+    locale = "es-ES",
+    minimumFractionDigits = 0,
+    maximumFractionDigits = 2,
+  } = {}
+) {
+  const [integerPart, fractionPart = ""] = Decimal.from(value)
+    .toFixed(maximumFractionDigits)
+    .replace("-", "")
+    .split(".");
+
+  // Quitar ceros a la derecha hasta el mínimo pedido
+  let fraction = fractionPart;
+  while (fraction.length > minimumFractionDigits && fraction.endsWith("0")) {
+    fraction = fraction.slice(0, -1);
+  }
+
+  // "always": es-ES no agrupa por defecto los números de cuatro cifras
+  const formatter = new Intl.NumberFormat(locale, { useGrouping: "always" });
+  const { decimal: decimalSeparator } = getNumberSeparators(locale);
+  const sign = Decimal.from(value).round(maximumFractionDigits).isNegative()
+    ? "-"
+    : "";
+  const groupedInteger = formatter.format(BigInt(integerPart));
+
+  return fraction
+    ? `${sign}${groupedInteger}${decimalSeparator}${fraction}`
+    : `${sign}${groupedInteger}`;
+}
+
+/**
+ * Separadores decimal y de miles de una configuración regional
+ * @param {string} [locale] - Configuración regional
+ * @returns {{decimal: string, group: string}} Separadores ("," y "." en es-ES)
+ */
+export function getNumberSeparators(locale = "es-ES") {
+  const parts = new Intl.NumberFormat(locale).formatToParts(1234567.1);
+
+  return {
+    decimal: parts.find((part) => part.type === "decimal")?.value || ".",
+    group: parts.find((part) => part.type === "group")?.value || ",",
+  };
+}
+
+/**
+ * Formatea un monto con la precisión de su moneda: las fiduciarias usan
+ * siempre sus unidades menores y las criptomonedas hasta sus decimales
+ * nativos, sin ceros sobrantes. Si la moneda fiduciaria trae un `symbol`
+ * distinto de su código, se antepone al monto ("$1.234,56")
+ * @param {Decimal|number|string} value - Monto
+ * @param {Object} currency - Moneda del monto
+ * @param {string} [locale] - Configuración regional
+ * @returns {string} Monto formateado
+ */
+export function formatCurrencyAmount(value, currency, locale = "es-ES") {
+  const decimals = getCurrencyDecimals(currency);
+
+  const amount = formatDecimal(value, {
+    locale: locale,
+    minimumFractionDigits:
+      currency.type === "crypto" ? Math.min(2, decimals) : decimals,
+    maximumFractionDigits: decimals,
+  });
+
+  if (
+    currency.type === "crypto" ||
+    !currency.symbol ||
+    currency.symbol === currency.code
+  ) {
+    return amount;
+  }
+
+  // Los símbolos que terminan en letra ("kr", "Fr.") se separan del número
+  const separator = /[\p{L}.]$/u.test(currency.symbol) ? "\u00a0" : "";
+  return amount.startsWith("-")
+    ? `-${currency.symbol}${separator}${amount.slice(1)}`
+    : `${currency.symbol}${separator}${amount}`;
+}
+
+/**
+ * Formatea una tasa de cambio con al menos `significantDigits` cifras
+ * significativas, de modo que tasas muy pequeñas no se muestren como cero
+ * @param {Decimal|number|string} rate - Tasa de cambio
+ * @param {string} [locale] - Configuración regional
+ * @param {number} [significantDigits] - Cifras significativas mínimas
+ * @returns {string} Tasa formateada
+ */
+export function formatRate(rate, locale = "es-ES", significantDigits = 6) {
+  const decimalRate = Decimal.from(rate);
+  const [integerPart, fractionPart = ""] = decimalRate
+    .abs()
+    .toString()
+    .split(".");
+
+  let decimals = significantDigits;
+  if (integerPart === "0" && fractionPart) {
+    const leadingZeros =
+      fractionPart.length - fractionPart.replace(/^0+/, "").length;
+    decimals = leadingZeros + significantDigits;
+  }
+
+  return formatDecimal(decimalRate, {
+    locale: locale,
+    minimumFractionDigits: Math.min(2, decimals),
+    maximumFractionDigits: decimals,
+  });
+}
@@ -0,0 +1,221 @@
+import { getCurrencyKey } from "./conversion-engine.js";
+import { Decimal } from "./decimal.js";
+
+/**
+ * Evaluación de reglas de alerta de tasas, sin dependencias del DOM.
+ *
+ * Una regla tiene la forma
+ * `{ id, from, to, condition, threshold, hours, rateType, enabled, active }`
+ * donde
+ * condition es "above" (tasa por encima del umbral), "below" (por debajo) o
+ * "change" (variación porcentual absoluta de al menos `threshold` % en las
+ * últimas `hours` horas, contra las tasas observadas o, para ventanas de un
+ * día o más, la del historial de los proveedores). `active` recuerda si la condición ya se cumplía en
+ * la evaluación anterior, para avisar solo cuando la tasa cruza el umbral.
+ * `rateType` es el tipo de cambio del peso ("blue", "mep"...) con que se
+ * cotizan los pares con ARS, o null para la tasa de siempre.
+ */
+
+export const ALERT_CONDITIONS = ["above", "below", "change"];
+
+const HOUR = 60 * 60 * 1000;
+
+// El historial de los proveedores es diario: solo sirve de referencia para
+// las ventanas de variación de al menos un día
+const MIN_HISTORY_WINDOW_HOURS = 24;
+
+/**
+ * Evalúa una regla contra la tasa actual
+ * @param {Object} rule - Regla de alerta
+ * @param {Decimal|number|string} rate - Tasa actual (unidades de to por 1 from)
+ * @param {Array<{timestamp: number, rate: string}>} [samples] - Tasas
+ *   observadas anteriormente para el par, necesarias para "change"
+ * @param {number} [now] - Momento de la evaluación
+ * @returns {{met: boolean, change?: Decimal}} Si la condición se cumple y,
+ *   para "change", la variación porcentual medida
+ */
+export function evaluateAlertRule(rule, rate, samples = [], now = Date.now()) {
+  const currentRate = Decimal.from(rate);
+  const threshold = Decimal.from(rule.threshold);
+
+  if (rule.condition === "above") {
+    return { met: currentRate.cmp(threshold) > 0 };
+  }
+  if (rule.condition === "below") {
+    return { met: currentRate.cmp(threshold) < 0 };
+  }
+  if (rule.condition === "change") {
+    // Se compara contra la observación más antigua dentro de la ventana
+    const windowStart = now - rule.hours * HOUR;
+    const reference = samples
+      .filter((sample) => sample.timestamp >= windowStart)
+      .sort((a, b) => a.timestamp - b.timestamp)[0];
+
+    if (!reference || Decimal.from(reference.rate).isZero()) {
+      return { met: false };
+    }
+
+    const change = currentRate.sub(reference.rate).div(reference.rate).mul(100);
+    return { met: change.abs().cmp(threshold) >= 0, change: change };
+  }
+
+  throw new Error(`Condición de alerta desconocida: ${rule.condition}`);
+}
+
+/**
+ * Consulta periódicamente las tasas de los pares con reglas activas y avisa
+ * cuando alguna regla pasa a cumplirse
+ */
+export class RateAlertMonitor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.engine - ConversionEngine usado para cotizar
+   * @param {Object} options.store - AlertStore con reglas y observaciones
+   * @param {Function} options.onTrigger - Recibe (rule, rate, evaluation)
+   * @param {number} [options.interval] - Milisegundos entre consultas
+   */
+  constructor({ engine, store, onTrigger, interval = 5 * 60 * 1000 }) {
+    this.engine = engine;
+    this.store = store;
+    this.onTrigger = onTrigger;
+    this.interval = interval;
+    this.timer = null;
+  }
+
+  start() {
+    this.stop();
+    this.check();
+    this.timer = setInterval(() => this.check(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Evalúa todas las reglas habilitadas. Cada par (con su tipo de cambio) se
+   * cotiza una sola vez aunque tenga varias reglas.
+   */
+  async check() {
+    const rules = this.store.rules.filter((rule) => rule.enabled);
+    const pairs = new Map();
+
+    rules.forEach((rule) => {
+      const rateType = rule.rateType || null;
+      const pairKey = `${getCurrencyKey(rule.from)}>${getCurrencyKey(
+        rule.to
+      )}@${rateType}`;
+      if (!pairs.has(pairKey)) {
+        pairs.set(pairKey, {
+          from: rule.from,
+          to: rule.to,
+          rateType: rateType,
+          rules: [],
+        });
+      }
+      pairs.get(pairKey).rules.push(rule);
+    });
+
+    await Promise.all([...pairs.values()].map((pair) => this.checkPair(pair)));
+  }
+
+  /**
+   * Cotiza un par y evalúa sus reglas. Los errores se atienden dentro del
+   * par, así que un par sin cotización no frena a los demás.
+   * @param {{from: Object, to: Object, rateType: string|null,
+   *   rules: Array<Object>}} pair - Par, tipo de cambio y reglas habilitadas
+   */
+  async checkPair({ from, to, rateType, rules }) {
+    let quote;
+    try {
+      quote = await this.engine.getQuote(
+        from,
+        to,
+        rateType ? { rateType: rateType } : {}
+      );
+    } catch (error) {
+      console.warn(
+        `No se pudo cotizar ${from.code} → ${to.code} para las alertas:`,
+        error
+      );
+      return;
+    }
+
+    // Una tasa de respaldo sin conexión no refleja el mercado actual
+    if (quote.offline) return;
+
+    const now = Date.now();
+    const samples = this.store.getSamples(from, to, rateType);
+    const references = await Promise.all(
+      rules.map((rule) => this.getHistoricalReference(rule, samples, now))
+    );
+
+    rules.forEach((rule, index) => {
+      // Las reglas vienen del almacenamiento local y pueden estar dañadas o
+      // editadas a mano (un umbral no numérico, una condición desconocida):
+      // una regla inválida no debe frenar la evaluación de las demás
+      let evaluation;
+      try {
+        evaluation = evaluateAlertRule(
+          rule,
+          quote.rate,
+          references[index] ? [references[index], ...samples] : samples,
+          now
+        );
+      } catch (error) {
+        console.warn(`No se pudo evaluar la alerta ${rule.id}:`, error);
+        return;
+      }
+      if (evaluation.met === rule.active) return;
+
+      this.store.update(rule.id, { active: evaluation.met });
+      if (evaluation.met) {
+        this.onTrigger(rule, quote.rate, evaluation);
+      }
+    });
+
+    // La observación se guarda después de evaluar, para no comparar una
+    // tasa consigo misma
+    this.store.addSample(from, to, quote.rate.toString(), rateType);
+  }
+
+  /**
+   * Tasa al inicio de la ventana de una regla de variación, tomada del
+   * historial de los proveedores cuando las observaciones propias no llegan
+   * tan atrás (p. ej. con la página recién abierta). El historial es diario y
+   * no tiene los tipos de cambio del peso, así que esas reglas y las de
+   * ventanas de menos de un día se miden solo con las observaciones.
+   * @param {Object} rule - Regla de alerta
+   * @param {Array<{timestamp: number, rate: string}>} samples - Observaciones
+   * @param {number} now - Momento de la evaluación
+   * @returns {Promise<{timestamp: number, rate: string}|null>} Referencia
+   *   con el momento del inicio de la ventana, o null si no hace falta o no
+   *   se pudo obtener
+   */
+  async getHistoricalReference(rule, samples, now) {
+    if (
+      rule.condition !== "change" ||
+      rule.rateType ||
+      !(rule.hours >= MIN_HISTORY_WINDOW_HOURS)
+    ) {
+      return null;
+    }
+
+    const windowStart = now - rule.hours * HOUR;
+    if (samples.some((sample) => sample.timestamp <= windowStart)) return null;
+
+    try {
+      const quote = await this.engine.getQuote(rule.from, rule.to, {
+        date: new Date(windowStart).toISOString().slice(0, 10),
+      });
+      return { timestamp: windowStart, rate: quote.rate.toString() };
+    } catch (error) {
+      console.warn(
+        `No se pudo obtener la tasa de referencia de ${rule.id}:`,
+        error
+      );
+      return null;
+    }
+  }
+}
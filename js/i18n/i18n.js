@@ -0,0 +1,164 @@
+import { loadJSON, saveJSON } from "../storage/local-store.js";
+
+/**
+ * Traducciones de la interfaz. Los textos viven en catálogos JSON por idioma
+ * (data/i18n/<idioma>.json) con claves anidadas, p. ej. "history.heading",
+ * y marcadores {nombre} que se reemplazan al traducir.
+ */
+
+// Idiomas disponibles y la configuración regional usada para formatear
+export const SUPPORTED_LOCALES = {
+  es: "es-ES",
+  en: "en-US",
+  pt: "pt-BR",
+};
+
+export const DEFAULT_LOCALE = "es";
+
+const STORAGE_KEY = "conversor:locale";
+
+let currentLocale = DEFAULT_LOCALE;
+let messages = {};
+let fallbackMessages = {};
+
+/**
+ * Elige el idioma: el guardado por el usuario o el primero del navegador
+ * que esté disponible
+ * @param {ReadonlyArray<string>} [languages] - Idiomas preferidos del navegador
+ * @returns {string} Código de idioma soportado
+ */
+export function detectLocale(languages = getBrowserLanguages()) {
+  const savedLocale = loadJSON(STORAGE_KEY, null);
+  if (savedLocale in SUPPORTED_LOCALES) {
+    return savedLocale;
+  }
+
+  const browserLocale = languages
+    .map((language) => language.toLowerCase().split("-")[0])
+    .find((language) => language in SUPPORTED_LOCALES);
+  return browserLocale || DEFAULT_LOCALE;
+}
+
+/**
+ * Carga el catálogo de un idioma. El catálogo del idioma por defecto se
+ * carga también para completar claves faltantes.
+ * @param {string} locale - Código de idioma soportado
+ */
+export async function loadLocale(locale) {
+  const [localeMessages, defaultMessages] = await Promise.all([
+    fetchCatalog(locale),
+    locale === DEFAULT_LOCALE ? null : fetchCatalog(DEFAULT_LOCALE),
+  ]);
+
+  currentLocale = locale;
+  messages = localeMessages;
+  fallbackMessages = defaultMessages || localeMessages;
+}
+
+/**
+ * Guarda el idioma elegido por el usuario
+ * @param {string} locale - Código de idioma soportado
+ */
+export function saveLocale(locale) {
+  saveJSON(STORAGE_KEY, locale);
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Configuración regional para Intl y toLocaleString
+ * @returns {string} Etiqueta BCP 47, p. ej. "pt-BR"
+ */
+export function getIntlLocale() {
+  return SUPPORTED_LOCALES[currentLocale];
+}
+
+/**
+ * Traduce una clave
+ * @param {string} key - Clave del catálogo, p. ej. "alerts.heading"
+ * @param {Object} [params] - Valores para los marcadores {nombre}
+ * @returns {string} Texto traducido, o la clave si no existe
+ */
+export function t(key, params = {}) {
+  const template = lookup(messages, key) ?? lookup(fallbackMessages, key);
+  if (typeof template !== "string") {
+    console.warn(`Traducción faltante: ${key}`);
+    return key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Traduce los elementos estáticos marcados con data-i18n (texto),
+ * data-i18n-placeholder, data-i18n-title y data-i18n-aria-label
+ * @param {ParentNode} [root] - Elemento desde el que buscar
+ */
+export function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll("[data-i18n-title]").forEach((element) => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+  root.querySelectorAll("[data-i18n-aria-label]").forEach((element) => {
+    element.setAttribute("aria-label", t(element.dataset.i18nAriaLabel));
+  });
+}
+
+/**
+ * Nombre de una moneda ISO 4217 en el idioma actual. Usa los nombres del
+ * navegador (Intl.DisplayNames) y, en español, los del dataset local.
+ * @param {string} code - Código ISO 4217
+ * @param {Object} [metadata] - Metadatos por código de data/currencies.json
+ * @returns {string|null} Nombre localizado o null si no se conoce
+ */
+export function getCurrencyDisplayName(code, metadata = {}) {
+  if (currentLocale === "es" && metadata[code]?.name) {
+    return metadata[code].name;
+  }
+
+  try {
+    const displayNames = new Intl.DisplayNames([getIntlLocale()], {
+      type: "currency",
+      fallback: "none",
+    });
+    const name = displayNames.of(code);
+    // Intl devuelve nombres en minúscula en español y portugués
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchCatalog(locale) {
+  const response = await fetch(`./data/i18n/${locale}.json`);
+  if (!response.ok) {
+    throw new Error(
+      `No se pudo cargar el idioma ${locale}: ${response.status}`
+    );
+  }
+  return response.json();
+}
+
+function lookup(catalog, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value && typeof value === "object" ? value[part] : undefined,
+      catalog
+    );
+}
+
+function getBrowserLanguages() {
+  if (typeof navigator === "undefined") return [];
+  return navigator.languages || [navigator.language].filter(Boolean);
+}
@@ -0,0 +1,211 @@
+/**
+ * Envuelve un proveedor para servir tasas e historial desde una RateCache.
+ *
+ * El envoltorio hereda del proveedor original, así que las llamadas internas
+ * del proveedor (por ejemplo, listCurrencies usando getLatestRates) también
+ * pasan por la caché y la tabla descargada al iniciar se reutiliza.
+ *
+ * Si el proveedor falla (sin conexión, límite de peticiones, etc.) se usa el
+ * último dato guardado aunque haya expirado, marcado con `offline: true`.
+ * Solo las tasas actuales y el listado de monedas se persisten entre visitas;
+ * las series históricas y las tasas de fechas pasadas quedan en memoria.
+ *
+ * @param {Object} provider - Proveedor que cumple el contrato de provider.js
+ * @param {import("../storage/rate-cache.js").RateCache} cache - Caché compartida
+ * @param {Object} [options]
+ * @param {number} [options.ratesTtl] - Vigencia de las tasas actuales en ms
+ * @param {number} [options.historyTtl] - Vigencia de las series históricas y listados en ms
+ * @returns {Object} Proveedor con caché
+ */
+export function withRateCache(provider, cache, { ratesTtl, historyTtl } = {}) {
+  const cachedProvider = Object.create(provider);
+  const keyPrefix = provider.baseUrl
+    ? `${provider.name}@${provider.baseUrl}`
+    : provider.name;
+  const ratesKey = (base) => `${keyPrefix}:latest:${base}`;
+
+  /**
+   * Devuelve la tabla cacheada si contiene todos los símbolos pedidos
+   */
+  const getCachedTable = (base, symbols = [], ttl = ratesTtl) => {
+    const entry = cache.get(ratesKey(base), ttl);
+    if (!entry) return null;
+
+    const hasAllSymbols = symbols.every(
+      (symbol) => typeof entry.value.rates[symbol] === "number"
+    );
+    return hasAllSymbols ? entry.value : null;
+  };
+
+  /**
+   * Guarda una tabla combinándola con las tasas vigentes de la misma base
+   */
+  const storeTable = (rateTable) => {
+    const previous = cache.get(ratesKey(rateTable.base), ratesTtl);
+    const rates = previous
+      ? { ...previous.value.rates, ...rateTable.rates }
+      : rateTable.rates;
+
+    cache.set(ratesKey(rateTable.base), { ...rateTable, rates: rates });
+  };
+
+  /**
+   * Consulta una clave con vigencia y, si el proveedor falla, recurre al
+   * último valor guardado sin importar su antigüedad
+   */
+  const getOrFetch = async (key, ttl, fetchValue, { persist = true } = {}) => {
+    const entry = cache.get(key, ttl);
+    if (entry) {
+      return entry.value;
+    }
+
+    try {
+      const value = await fetchValue();
+      cache.set(key, value, { persist: persist });
+      return value;
+    } catch (error) {
+      const lastKnown = cache.get(key, Infinity);
+      if (!lastKnown) throw error;
+
+      console.warn(`Usando datos guardados para ${key}:`, error);
+      return lastKnown.value;
+    }
+  };
+
+  cachedProvider.listCurrencies = function () {
+    return getOrFetch(`${keyPrefix}:currencies`, historyTtl, () =>
+      provider.listCurrencies.call(this)
+    );
+  };
+
+  cachedProvider.getLatestRates = async function (base, symbols) {
+    const cachedTable = getCachedTable(base, symbols);
+    if (cachedTable) {
+      return cachedTable;
+    }
+
+    try {
+      const rateTable = await provider.getLatestRates.call(this, base, symbols);
+      storeTable(rateTable);
+      return rateTable;
+    } catch (error) {
+      const lastKnownTable = getCachedTable(base, symbols, Infinity);
+      if (!lastKnownTable) throw error;
+
+      console.warn(`Usando tasas guardadas para ${base}:`, error);
+      return { ...lastKnownTable, offline: true };
+    }
+  };
+
+  if (provider.getLatestRatesBatch) {
+    cachedProvider.getLatestRatesBatch = async function (bases, symbol) {
+      const cachedTables = {};
+      const missingBases = [];
+
+      bases.forEach((base) => {
+        const cachedTable = getCachedTable(base, [symbol]);
+        if (cachedTable) {
+          cachedTables[base] = cachedTable;
+        } else {
+          missingBases.push(base);
+        }
+      });
+
+      let offline = false;
+
+      // Solo se consultan las bases que no están en caché
+      if (missingBases.length > 0) {
+        try {
+          const fetchedBatch = await provider.getLatestRatesBatch.call(
+            this,
+            missingBases,
+            symbol
+          );
+          Object.entries(fetchedBatch.rates).forEach(([base, rate]) => {
+            cachedTables[base] = {
+              base: base,
+              rates: { [symbol]: rate },
+              timestamp: fetchedBatch.timestamp,
+            };
+            storeTable(cachedTables[base]);
+          });
+        } catch (error) {
+          missingBases.forEach((base) => {
+            const lastKnownTable = getCachedTable(base, [symbol], Infinity);
+            if (!lastKnownTable) throw error;
+            cachedTables[base] = lastKnownTable;
+          });
+
+          console.warn(`Usando precios guardados para ${missingBases}:`, error);
+          offline = true;
+        }
+      }
+
+      const tables = Object.values(cachedTables);
+      return {
+        symbol: symbol,
+        rates: Object.fromEntries(
+          bases.map((base) => [base, cachedTables[base].rates[symbol]])
+        ),
+        // La cotización combinada es tan antigua como su dato más antiguo
+        timestamp: Math.min(...tables.map((table) => table.timestamp)),
+        offline: offline,
+      };
+    };
+  }
+
+  cachedProvider.getHistoricalSeries = function (base, symbol, days) {
+    return getOrFetch(
+      `${keyPrefix}:history:${base}:${symbol}:${days}`,
+      historyTtl,
+      () => provider.getHistoricalSeries.call(this, base, symbol, days),
+      { persist: false }
+    );
+  };
+
+  if (provider.getRatesAt) {
+    cachedProvider.getRatesAt = function (base, symbols, date) {
+      return getOrFetch(
+        `${keyPrefix}:at:${date}:${base}:${symbols.join(",")}`,
+        historyTtl,
+        () => provider.getRatesAt.call(this, base, symbols, date),
+        { persist: false }
+      );
+    };
+  }
+
+  if (provider.getDollarRates) {
+    cachedProvider.getDollarRates = async function () {
+      const key = `${keyPrefix}:dollar-rates`;
+      const entry = cache.get(key, ratesTtl);
+      if (entry) {
+        return entry.value;
+      }
+
+      try {
+        const dollarRates = await provider.getDollarRates.call(this);
+        cache.set(key, dollarRates);
+        return dollarRates;
+      } catch (error) {
+        const lastKnown = cache.get(key, Infinity);
+        if (!lastKnown) throw error;
+
+        console.warn("Usando cotizaciones del dólar guardadas:", error);
+        return { ...lastKnown.value, offline: true };
+      }
+    };
+  }
+
+  if (provider.getOhlcSeries) {
+    cachedProvider.getOhlcSeries = function (base, symbol, days) {
+      return getOrFetch(
+        `${keyPrefix}:ohlc:${base}:${symbol}:${days}`,
+        historyTtl,
+        () => provider.getOhlcSeries.call(this, base, symbol, days),
+        { persist: false }
+      );
+    };
+  }
+
+  return cachedProvider;
+}
@@ -0,0 +1,202 @@
+/**
+ * Proveedor de criptomonedas basado en la API pública de CoinGecko.
+ * Las bases son IDs de CoinGecko (ej: "bitcoin") y los símbolos son las
+ * monedas de referencia que acepta `vs_currencies` (ej: "USD").
+ */
+export class CoinGeckoProvider {
+  constructor({
+    baseUrl = "https://api.coingecko.com/api/v3",
+    listSize = 100,
+  } = {}) {
+    this.name = "CoinGecko API";
+    this.url = "https://www.coingecko.com";
+    this.baseUrl = baseUrl;
+    this.listSize = listSize;
+  }
+
+  /**
+   * Lista las principales criptomonedas por capitalización de mercado
+   * @returns {Promise<Array<Object>>} Criptomonedas con su ID de CoinGecko
+   */
+  async listCurrencies() {
+    const response = await fetch(
+      `${this.baseUrl}/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=${this.listSize}&page=1`
+    );
+
+    if (!response.ok) {
+      throw new Error("Error al cargar criptomonedas");
+    }
+
+    const data = await response.json();
+
+    return data.map((cryptoData) => ({
+      code: cryptoData.symbol.toUpperCase(),
+      name: cryptoData.name,
+      type: "crypto",
+      id: cryptoData.id,
+      rank: cryptoData.market_cap_rank,
+    }));
+  }
+
+  /**
+   * Obtiene el precio actual de una criptomoneda
+   * @param {string} base - ID de CoinGecko
+   * @param {string[]} [symbols] - Monedas de referencia (por defecto USD)
+   * @returns {Promise<Object>} Tabla de tasas
+   */
+  async getLatestRates(base, symbols = ["USD"]) {
+    const prices = await this.fetchSimplePrices([base], symbols);
+    const basePrices = prices[base];
+
+    if (!basePrices) {
+      throw new Error(`Sin cotización de CoinGecko para ${base}`);
+    }
+
+    return {
+      base: base,
+      rates: Object.fromEntries(
+        symbols.map((symbol) => [symbol, basePrices[symbol.toLowerCase()]])
+      ),
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Cotiza varias criptomonedas contra un mismo símbolo en una sola petición
+   * @param {string[]} bases - IDs de CoinGecko
+   * @param {string} symbol - Moneda de referencia
+   * @returns {Promise<Object>} Lote con el precio de cada ID
+   */
+  async getLatestRatesBatch(bases, symbol = "USD") {
+    const prices = await this.fetchSimplePrices(bases, [symbol]);
+
+    return {
+      symbol: symbol,
+      rates: Object.fromEntries(
+        bases.map((base) => {
+          if (!prices[base]) {
+            throw new Error(`Sin cotización de CoinGecko para ${base}`);
+          }
+          return [base, prices[base][symbol.toLowerCase()]];
+        })
+      ),
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Obtiene el precio de una criptomoneda en una fecha pasada, tomado a las
+   * 00:00 UTC de ese día
+   * @param {string} base - ID de CoinGecko
+   * @param {string[]} symbols - Monedas de referencia
+   * @param {string} date - Fecha en formato YYYY-MM-DD
+   * @returns {Promise<Object>} Tabla de tasas; sin tasas si la criptomoneda
+   *   todavía no cotizaba ese día
+   */
+  async getRatesAt(base, symbols, date) {
+    // CoinGecko espera la fecha como DD-MM-YYYY
+    const [year, month, day] = date.split("-");
+    const response = await fetch(
+      `${this.baseUrl}/coins/${base}/history?date=${day}-${month}-${year}&localization=false`
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `Error HTTP: ${response.status} al obtener el precio histórico`
+      );
+    }
+
+    const data = await response.json();
+    const prices = (data.market_data && data.market_data.current_price) || {};
+
+    return {
+      base: base,
+      rates: Object.fromEntries(
+        symbols
+          .filter((symbol) => typeof prices[symbol.toLowerCase()] === "number")
+          .map((symbol) => [symbol, prices[symbol.toLowerCase()]])
+      ),
+      timestamp: Date.parse(date),
+    };
+  }
+
+  /**
+   * Obtiene la serie de precios de una criptomoneda. CoinGecko elige la
+   * granularidad según el rango: cada 5 minutos para 1 día, por hora hasta
+   * 90 días y diaria para rangos mayores.
+   * @param {string} base - ID de CoinGecko
+   * @param {string} symbol - Moneda de referencia
+   * @param {number|"max"} days - Cantidad de días hacia atrás o "max"
+   * @returns {Promise<Array<[number, number]>>} Pares [timestamp, precio]
+   */
+  async getHistoricalSeries(base, symbol = "USD", days = 30) {
+    const response = await fetch(
+      `${
+        this.baseUrl
+      }/coins/${base}/market_chart?vs_currency=${symbol.toLowerCase()}&days=${days}`
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `Error HTTP: ${response.status} al obtener datos históricos`
+      );
+    }
+
+    const historicalData = await response.json();
+
+    if (!historicalData.prices || !Array.isArray(historicalData.prices)) {
+      throw new Error("Formato de datos inválido de CoinGecko");
+    }
+
+    return historicalData.prices;
+  }
+
+  /**
+   * Obtiene velas OHLC de una criptomoneda (de 30 minutos para 1 día, de
+   * 4 horas hasta 30 días y de 4 días para rangos mayores)
+   * @param {string} base - ID de CoinGecko
+   * @param {string} symbol - Moneda de referencia
+   * @param {number|"max"} days - 1, 7, 14, 30, 90, 180, 365 o "max"
+   * @returns {Promise<Array<[number, number, number, number, number]>>}
+   *   Tuplas [timestamp, apertura, máximo, mínimo, cierre]
+   */
+  async getOhlcSeries(base, symbol = "USD", days = 30) {
+    const response = await fetch(
+      `${
+        this.baseUrl
+      }/coins/${base}/ohlc?vs_currency=${symbol.toLowerCase()}&days=${days}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`Error HTTP: ${response.status} al obtener velas OHLC`);
+    }
+
+    const candles = await response.json();
+
+    if (!Array.isArray(candles)) {
+      throw new Error("Formato de datos inválido de CoinGecko");
+    }
+
+    return candles;
+  }
+
+  /**
+   * Consulta el endpoint simple/price de CoinGecko
+   * @param {string[]} ids - IDs de CoinGecko
+   * @param {string[]} symbols - Monedas de referencia
+   * @returns {Promise<Object>} Respuesta cruda indexada por ID
+   */
+  async fetchSimplePrices(ids, symbols) {
+    const response = await fetch(
+      `${this.baseUrl}/simple/price?ids=${ids.join(",")}&vs_currencies=${symbols
+        .join(",")
+        .toLowerCase()}`
+    );
+
+    if (!response.ok) {
+      throw new Error("Error al obtener cotización de criptomonedas");
+    }
+
+    return response.json();
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Proveedor de cotizaciones del dólar en Argentina basado en DolarApi
+ * (sin API key). Publica el tipo de cambio oficial y los paralelos: blue,
+ * MEP, contado con liquidación, tarjeta y cripto (USDT).
+ *
+ * No cumple el contrato general de provider.js: solo cotiza ARS contra USD,
+ * separado por tipo de cambio, y lo usa el motor de conversión cuando el
+ * usuario elige un tipo de cambio para un par con ARS.
+ */
+
+// Tipos de cambio ofrecidos y su "casa" en DolarApi
+export const ARS_RATE_TYPES = {
+  oficial: "oficial",
+  blue: "blue",
+  mep: "bolsa",
+  ccl: "contadoconliqui",
+  tarjeta: "tarjeta",
+  cripto: "cripto",
+};
+
+export class DolarApiProvider {
+  constructor({ baseUrl = "https://dolarapi.com/v1" } = {}) {
+    this.name = "DolarApi";
+    this.url = "https://dolarapi.com";
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Obtiene la compra y la venta de cada tipo de cambio, en pesos por dólar
+   * @returns {Promise<Object>} Cotizaciones por tipo de cambio
+   *   ({ rates: { blue: { buy, sell }, ... }, timestamp }); `buy` es null si
+   *   el tipo de cambio no tiene precio de compra (tarjeta)
+   */
+  async getDollarRates() {
+    const response = await fetch(`${this.baseUrl}/dolares`);
+
+    if (!response.ok) {
+      throw new Error("Error al obtener cotizaciones del dólar en Argentina");
+    }
+
+    const quotes = await response.json();
+    const quotesByHouse = new Map(quotes.map((quote) => [quote.casa, quote]));
+
+    const rates = {};
+    Object.entries(ARS_RATE_TYPES).forEach(([rateType, house]) => {
+      const quote = quotesByHouse.get(house);
+      if (quote && typeof quote.venta === "number") {
+        rates[rateType] = {
+          buy: typeof quote.compra === "number" ? quote.compra : null,
+          sell: quote.venta,
+        };
+      }
+    });
+
+    const updates = quotes
+      .map((quote) => Date.parse(quote.fechaActualizacion))
+      .filter((timestamp) => !Number.isNaN(timestamp));
+
+    return {
+      rates: rates,
+      // Las cotizaciones son tan antiguas como la más antigua publicada
+      timestamp: updates.length > 0 ? Math.min(...updates) : Date.now(),
+    };
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Proveedor de monedas fiduciarias basado en ExchangeRate-API (v4, sin API key).
+ * El plan gratuito no ofrece historial, por lo que las series se dejan al
+ * proveedor histórico configurado.
+ */
+export class ExchangeRateApiProvider {
+  constructor({
+    baseUrl = "https://api.exchangerate-api.com/v4/latest/",
+  } = {}) {
+    this.name = "ExchangeRate-API";
+    this.url = "https://www.exchangerate-api.com";
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Lista las monedas fiduciarias que cotiza el proveedor
+   * @returns {Promise<Array<Object>>} Monedas sin nombre descriptivo
+   */
+  async listCurrencies() {
+    const { base, rates } = await this.getLatestRates("USD");
+    const codes = new Set([base, ...Object.keys(rates)]);
+
+    return [...codes].map((code) => ({ code: code, type: "fiat" }));
+  }
+
+  /**
+   * Obtiene las tasas actuales para una moneda base
+   * @param {string} base - Código de moneda base
+   * @returns {Promise<Object>} Tabla completa de tasas
+   */
+  async getLatestRates(base) {
+    const response = await fetch(`${this.baseUrl}${base}`);
+
+    if (!response.ok) {
+      throw new Error("Error al obtener cotización de monedas");
+    }
+
+    const data = await response.json();
+
+    return {
+      base: data.base || base,
+      rates: data.rates,
+      timestamp: data.time_last_updated
+        ? data.time_last_updated * 1000
+        : Date.now(),
+    };
+  }
+
+  /**
+   * ExchangeRate-API v4 no publica historial
+   * @returns {Promise<Array>} Serie vacía
+   */
+  async getHistoricalSeries() {
+    return [];
+  }
+}
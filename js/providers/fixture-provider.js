@@ -0,0 +1,139 @@
+/**
+ * Proveedor de monedas fiduciarias basado en un archivo JSON local.
+ * Pensado para desarrollo y pruebas sin conexión: las cifras del fixture
+ * no son cotizaciones reales.
+ */
+export class FixtureProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string|Object} [options.source] - URL del fixture o el fixture ya cargado
+   */
+  constructor({ source = "./data/fixtures/historical-rates.json" } = {}) {
+    this.name = "Fixture local";
+    this.url = null;
+    this.source = source;
+    this.fixture = typeof source === "object" ? source : null;
+  }
+
+  /**
+   * Carga el fixture una sola vez y lo reutiliza en llamadas posteriores
+   * @returns {Promise<Object>} Contenido del fixture
+   */
+  async loadFixture() {
+    if (!this.fixture) {
+      const response = await fetch(this.source);
+      if (!response.ok) {
+        throw new Error(`Error HTTP: ${response.status} al cargar el fixture`);
+      }
+      this.fixture = await response.json();
+    }
+    return this.fixture;
+  }
+
+  /**
+   * Lista la moneda base del fixture y todas las que cotiza
+   * @returns {Promise<Array<Object>>} Monedas sin nombre descriptivo
+   */
+  async listCurrencies() {
+    const { base, rates } = await this.loadFixture();
+    const codes = new Set([base]);
+    Object.values(rates).forEach((dayRates) =>
+      Object.keys(dayRates).forEach((code) => codes.add(code))
+    );
+
+    return [...codes].map((code) => ({ code: code, type: "fiat" }));
+  }
+
+  /**
+   * Devuelve las tasas del último día del fixture
+   * @param {string} base - Código de moneda base
+   * @returns {Promise<Object>} Tabla completa de tasas
+   */
+  async getLatestRates(base) {
+    const { rates } = await this.loadFixture();
+    const lastDate = Object.keys(rates).sort().pop();
+    const codes = (await this.listCurrencies()).map(({ code }) => code);
+
+    const crossRates = {};
+    codes.forEach((code) => {
+      const rate = this.crossRate(rates[lastDate], base, code);
+      if (rate) crossRates[code] = rate;
+    });
+
+    if (!crossRates[base]) {
+      throw new Error(`La moneda ${base} no está en el fixture`);
+    }
+
+    return {
+      base: base,
+      rates: crossRates,
+      timestamp: Date.parse(lastDate),
+    };
+  }
+
+  /**
+   * Devuelve las tasas del fixture en una fecha o, si no está, en el último
+   * día anterior disponible
+   * @param {string} base - Código de moneda base
+   * @param {string[]} symbols - Códigos de monedas destino
+   * @param {string} date - Fecha en formato YYYY-MM-DD
+   * @returns {Promise<Object>} Tabla de tasas; sin tasas si el fixture no
+   *   cubre la fecha o el par
+   */
+  async getRatesAt(base, symbols, date) {
+    const { rates } = await this.loadFixture();
+    const rateDate = Object.keys(rates)
+      .sort()
+      .filter((day) => day <= date)
+      .pop();
+
+    const crossRates = {};
+    if (rateDate) {
+      symbols.forEach((symbol) => {
+        const rate = this.crossRate(rates[rateDate], base, symbol);
+        if (rate) crossRates[symbol] = rate;
+      });
+    }
+
+    return {
+      base: base,
+      rates: crossRates,
+      timestamp: Date.parse(rateDate || date),
+    };
+  }
+
+  /**
+   * Devuelve los últimos días disponibles en el fixture para el par pedido
+   * @param {string} base - Código de moneda origen
+   * @param {string} symbol - Código de moneda destino
+   * @param {number|"max"} days - Cantidad máxima de días a devolver o "max"
+   * @returns {Promise<Array<[number, number]>>} Pares [timestamp, tasa]; vacío si el par no está en el fixture
+   */
+  async getHistoricalSeries(base, symbol, days = 30) {
+    const { rates } = await this.loadFixture();
+
+    return Object.keys(rates)
+      .sort()
+      .slice(days === "max" ? 0 : -days)
+      .map((date) => {
+        const rate = this.crossRate(rates[date], base, symbol);
+        return rate ? [Date.parse(date), rate] : null;
+      })
+      .filter((point) => point);
+  }
+
+  /**
+   * Cruza dos monedas a partir de sus tasas contra la base del fixture
+   * @param {Object<string, number>} dayRates - Tasas de un día
+   * @param {string} base - Código de moneda origen
+   * @param {string} symbol - Código de moneda destino
+   * @returns {number|undefined} Tasa cruzada o undefined si falta alguna
+   */
+  crossRate(dayRates, base, symbol) {
+    const fixtureBase = this.fixture.base;
+    const fromRate = base === fixtureBase ? 1 : dayRates[base];
+    const toRate = symbol === fixtureBase ? 1 : dayRates[symbol];
+
+    return fromRate && toRate ? toRate / fromRate : undefined;
+  }
+}
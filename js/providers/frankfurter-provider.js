@@ -0,0 +1,129 @@
+import { toIsoDate } from "./provider.js";
+
+// Primer día publicado por el BCE; se usa como inicio del rango "max"
+const FIRST_AVAILABLE_DATE = "1999-01-04";
+
+/**
+ * Proveedor de monedas fiduciarias basado en Frankfurter
+ * (datos diarios publicados por el Banco Central Europeo, sin API key).
+ */
+export class FrankfurterProvider {
+  constructor({ baseUrl = "https://api.frankfurter.app" } = {}) {
+    this.name = "Frankfurter";
+    this.url = "https://www.frankfurter.app";
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Lista las monedas publicadas por el BCE
+   * @returns {Promise<Array<Object>>} Monedas con su nombre en inglés
+   */
+  async listCurrencies() {
+    const response = await fetch(`${this.baseUrl}/currencies`);
+
+    if (!response.ok) {
+      throw new Error("Error al cargar monedas fiduciarias");
+    }
+
+    const currencies = await response.json();
+
+    return Object.entries(currencies).map(([code, name]) => ({
+      code: code,
+      name: name,
+      type: "fiat",
+    }));
+  }
+
+  /**
+   * Obtiene las últimas tasas publicadas para una moneda base
+   * @param {string} base - Código de moneda base
+   * @returns {Promise<Object>} Tabla completa de tasas
+   */
+  async getLatestRates(base) {
+    const response = await fetch(`${this.baseUrl}/latest?from=${base}`);
+
+    if (!response.ok) {
+      throw new Error("Error al obtener cotización de monedas");
+    }
+
+    const data = await response.json();
+
+    return {
+      base: data.base,
+      rates: data.rates,
+      timestamp: Date.parse(data.date),
+    };
+  }
+
+  /**
+   * Obtiene las tasas publicadas en una fecha; si ese día no hubo
+   * publicación (fin de semana o feriado) se usa el último día hábil anterior
+   * @param {string} base - Código de moneda base
+   * @param {string[]} symbols - Códigos de monedas destino
+   * @param {string} date - Fecha en formato YYYY-MM-DD
+   * @returns {Promise<Object>} Tabla de tasas con la fecha publicada; sin
+   *   tasas si alguna moneda no está cubierta
+   */
+  async getRatesAt(base, symbols, date) {
+    const response = await fetch(
+      `${this.baseUrl}/${date}?from=${base}&to=${symbols.join(",")}`
+    );
+
+    // Frankfurter responde 404 cuando alguna de las monedas no está cubierta
+    if (response.status === 404) {
+      return { base: base, rates: {}, timestamp: Date.parse(date) };
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `Error HTTP: ${response.status} al obtener tasas históricas`
+      );
+    }
+
+    const data = await response.json();
+
+    return {
+      base: data.base,
+      rates: data.rates,
+      timestamp: Date.parse(data.date),
+    };
+  }
+
+  /**
+   * Obtiene la serie diaria de tasas entre dos monedas fiduciarias
+   * @param {string} base - Código de moneda origen
+   * @param {string} symbol - Código de moneda destino
+   * @param {number|"max"} days - Cantidad de días hacia atrás desde hoy o "max"
+   * @returns {Promise<Array<[number, number]>>} Pares [timestamp, tasa]; vacío si el par no está soportado
+   */
+  async getHistoricalSeries(base, symbol, days = 30) {
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(endDate.getDate() - days);
+    const start = days === "max" ? FIRST_AVAILABLE_DATE : toIsoDate(startDate);
+
+    const response = await fetch(
+      `${this.baseUrl}/${start}..${toIsoDate(
+        endDate
+      )}?from=${base}&to=${symbol}`
+    );
+
+    // Frankfurter responde 404 cuando alguna de las monedas no está cubierta
+    if (response.status === 404) {
+      return [];
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `Error HTTP: ${response.status} al obtener tasas históricas`
+      );
+    }
+
+    const data = await response.json();
+
+    return Object.entries(data.rates || {})
+      .filter(([, dayRates]) => typeof dayRates[symbol] === "number")
+      .map(([date, dayRates]) => [Date.parse(date), dayRates[symbol]])
+      .sort((a, b) => a[0] - b[0]);
+  }
+}
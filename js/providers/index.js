@@ -0,0 +1,43 @@
+import { CoinGeckoProvider } from "./coingecko-provider.js";
+import { DolarApiProvider } from "./dolar-api-provider.js";
+import { ExchangeRateApiProvider } from "./exchange-rate-api-provider.js";
+import { FixtureProvider } from "./fixture-provider.js";
+import { FrankfurterProvider } from "./frankfurter-provider.js";
+
+/**
+ * Registro de proveedores de tasas disponibles por nombre
+ */
+const providerFactories = {
+  "exchangerate-api": (options) => new ExchangeRateApiProvider(options),
+  coingecko: (options) => new CoinGeckoProvider(options),
+  frankfurter: (options) => new FrankfurterProvider(options),
+  fixture: (options) => new FixtureProvider(options),
+  dolarapi: (options) => new DolarApiProvider(options),
+};
+
+/**
+ * Registra un proveedor adicional (servicio interno, servidor de pruebas, etc.)
+ * @param {string} name - Nombre con el que se referenciará en la configuración
+ * @param {(options: Object) => Object} factory - Crea una instancia del proveedor
+ */
+export function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+/**
+ * Crea un proveedor a partir de su entrada de configuración
+ * @param {string|{name: string, options?: Object}} providerConfig - Nombre o nombre con opciones
+ * @returns {Object} Instancia que cumple el contrato de js/providers/provider.js
+ */
+export function createProvider(providerConfig) {
+  const { name, options = {} } =
+    typeof providerConfig === "string"
+      ? { name: providerConfig }
+      : providerConfig;
+
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Proveedor de tasas desconocido: ${name}`);
+  }
+  return factory(options);
+}
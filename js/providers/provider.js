@@ -0,0 +1,57 @@
+/**
+ * Contrato común de los proveedores de tasas.
+ *
+ * Cada proveedor es una clase con `name` (texto que se muestra como fuente),
+ * `url` (enlace a la fuente o null) y los métodos descritos abajo. Las tasas
+ * siempre expresan cuántas unidades de `symbol` equivalen a 1 unidad de `base`.
+ * Los `symbols` de getLatestRates indican lo que el llamador necesita; un
+ * proveedor puede devolver la tabla completa si la obtiene en la misma
+ * petición, lo que permite reutilizarla desde la caché.
+ *
+ * @typedef {Object} Currency
+ * @property {string} code - Código visible (ISO 4217 o ticker)
+ * @property {string} [name] - Nombre descriptivo si el proveedor lo conoce
+ * @property {"fiat"|"crypto"} type - Tipo de moneda
+ * @property {string} [id] - Identificador propio del proveedor; es la identidad
+ *   de una criptomoneda, ya que varias pueden compartir el mismo ticker
+ * @property {number} [rank] - Posición por capitalización de mercado (criptomonedas)
+ *
+ * @typedef {Object} RateTable
+ * @property {string} base - Moneda base de la tabla
+ * @property {Object<string, number>} rates - Unidades de cada símbolo por 1 base
+ * @property {number} timestamp - Momento de la cotización (ms desde epoch)
+ * @property {boolean} [offline] - true si viene de la caché tras fallar el proveedor
+ *
+ * @typedef {Object} RateBatch
+ * @property {string} symbol - Moneda de referencia común
+ * @property {Object<string, number>} rates - Unidades de `symbol` por 1 unidad de cada base
+ * @property {number} timestamp - Momento de la cotización más antigua del lote
+ * @property {boolean} [offline] - true si alguna tasa viene de la caché tras fallar el proveedor
+ *
+ * @typedef {Object} RateProvider
+ * @property {string} name
+ * @property {string|null} url
+ * @property {() => Promise<Currency[]>} listCurrencies
+ * @property {(base: string, symbols?: string[]) => Promise<RateTable>} getLatestRates
+ * @property {(base: string, symbol: string, days: number|"max") => Promise<Array<[number, number]>>} getHistoricalSeries
+ *   Serie de pares [timestamp, tasa] de los últimos `days` días ("max": todo el
+ *   historial), con la granularidad más fina que ofrezca el proveedor; vacía si
+ *   el proveedor no tiene historial del par
+ * @property {(base: string, symbol: string, days: number|"max") => Promise<Array<[number, number, number, number, number]>>} [getOhlcSeries]
+ *   Opcional: velas [timestamp, apertura, máximo, mínimo, cierre] del par
+ * @property {(bases: string[], symbol: string) => Promise<RateBatch>} [getLatestRatesBatch]
+ *   Opcional: cotiza varias bases contra un mismo símbolo en una sola petición
+ * @property {(base: string, symbols: string[], date: string) => Promise<RateTable>} [getRatesAt]
+ *   Opcional: tasas publicadas en una fecha pasada (YYYY-MM-DD). El timestamp
+ *   es la fecha real del dato, que puede ser anterior a la pedida (fines de
+ *   semana y feriados); los símbolos sin cotización ese día se omiten
+ */
+
+/**
+ * Formatea una fecha como YYYY-MM-DD
+ * @param {Date} date - Fecha a formatear
+ * @returns {string} Fecha en formato ISO corto
+ */
+export function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
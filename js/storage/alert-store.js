@@ -0,0 +1,108 @@
+import { getCurrencyKey } from "../core/conversion-engine.js";
+import { loadJSON, saveJSON } from "./local-store.js";
+
+// Antigüedad máxima de las tasas observadas que se conservan por par
+const SAMPLE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+// Separación mínima entre observaciones, para acotar el espacio usado
+const SAMPLE_MIN_INTERVAL = 15 * 60 * 1000;
+
+/**
+ * Reglas de alerta de tasas y tasas observadas por par, guardadas
+ * localmente. Las observaciones alimentan las reglas de variación porcentual.
+ */
+export class AlertStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey] - Clave usada en el almacenamiento
+   */
+  constructor({ storageKey = "conversor:alerts" } = {}) {
+    this.storageKey = storageKey;
+
+    const saved = loadJSON(storageKey, {});
+    this.rules = saved.rules || [];
+    this.samples = saved.samples || {};
+  }
+
+  /**
+   * Agrega una regla nueva
+   * @param {Object} rule - Regla sin id
+   * @returns {Object} Regla guardada
+   */
+  add(rule) {
+    const savedRule = {
+      ...rule,
+      id: `${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`,
+      enabled: true,
+      active: false,
+    };
+    this.rules.push(savedRule);
+    this.persist();
+    return savedRule;
+  }
+
+  /**
+   * Modifica una regla existente
+   * @param {string} id - ID de la regla
+   * @param {Object} changes - Campos a reemplazar
+   */
+  update(id, changes) {
+    this.rules = this.rules.map((rule) =>
+      rule.id === id ? { ...rule, ...changes } : rule
+    );
+    this.persist();
+  }
+
+  remove(id) {
+    this.rules = this.rules.filter((rule) => rule.id !== id);
+    this.persist();
+  }
+
+  /**
+   * Tasas observadas para un par
+   * @param {Object} from - Moneda origen
+   * @param {Object} to - Moneda destino
+   * @param {string|null} [rateType] - Tipo de cambio del peso, si se usó
+   * @returns {Array<{timestamp: number, rate: string}>} Observaciones
+   */
+  getSamples(from, to, rateType = null) {
+    return this.samples[getPairSampleKey(from, to, rateType)] || [];
+  }
+
+  /**
+   * Registra una tasa observada y descarta las más antiguas
+   * @param {Object} from - Moneda origen
+   * @param {Object} to - Moneda destino
+   * @param {string} rate - Tasa como texto decimal
+   * @param {string|null} [rateType] - Tipo de cambio del peso, si se usó
+   * @param {number} [timestamp] - Momento de la observación
+   */
+  addSample(from, to, rate, rateType = null, timestamp = Date.now()) {
+    const key = getPairSampleKey(from, to, rateType);
+    const samples = this.samples[key] || [];
+    const lastSample = samples[samples.length - 1];
+
+    if (lastSample && timestamp - lastSample.timestamp < SAMPLE_MIN_INTERVAL) {
+      return;
+    }
+
+    this.samples[key] = [
+      ...samples.filter(
+        (sample) => timestamp - sample.timestamp <= SAMPLE_MAX_AGE
+      ),
+      { timestamp: timestamp, rate: rate },
+    ];
+    this.persist();
+  }
+
+  persist() {
+    saveJSON(this.storageKey, { rules: this.rules, samples: this.samples });
+  }
+}
+
+// Cada tipo de cambio del peso es una serie de tasas distinta
+function getPairSampleKey(from, to, rateType) {
+  const pairKey = `${getCurrencyKey(from)}>${getCurrencyKey(to)}`;
+  return rateType ? `${pairKey}@${rateType}` : pairKey;
+}
@@ -0,0 +1,75 @@
+import { loadJSON, saveJSON } from "./local-store.js";
+
+/**
+ * Historial persistente de conversiones realizadas, de la más reciente a la
+ * más antigua. Los montos y tasas se guardan como texto decimal para no
+ * perder precisión al serializar.
+ */
+export class ConversionHistory {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Cantidad máxima de entradas guardadas
+   * @param {string} [options.storageKey] - Clave usada en el almacenamiento
+   */
+  constructor({ limit = 200, storageKey = "conversor:history" } = {}) {
+    this.limit = limit;
+    this.storageKey = storageKey;
+    this.entries = loadJSON(storageKey, []);
+  }
+
+  /**
+   * Registra una conversión
+   * @param {Object} conversion - Resultado de ConversionEngine.convert
+   * @returns {Object} Entrada guardada
+   */
+  add(conversion) {
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`,
+      convertedAt: Date.now(),
+      amount: conversion.amount.toString(),
+      from: pickCurrency(conversion.from),
+      to: pickCurrency(conversion.to),
+      rate: conversion.rate.toString(),
+      result: conversion.result.toString(),
+      ratesTimestamp: conversion.timestamp,
+      offline: Boolean(conversion.offline),
+      // Fecha pedida si se convirtió con tasas pasadas (YYYY-MM-DD)
+      date: conversion.date || null,
+      // Tipo de cambio del peso usado (blue, MEP...), para repetirla igual
+      rateType: conversion.rateType ? conversion.rateType.id : null,
+      sources: conversion.sources.map((source) => ({
+        name: source.name,
+        url: source.url || null,
+      })),
+    };
+
+    this.entries = [entry, ...this.entries].slice(0, this.limit);
+    saveJSON(this.storageKey, this.entries);
+    return entry;
+  }
+
+  /**
+   * Quita una entrada
+   * @param {string} id - ID de la entrada
+   */
+  remove(id) {
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    saveJSON(this.storageKey, this.entries);
+  }
+
+  /**
+   * Elimina todo el historial
+   */
+  clear() {
+    this.entries = [];
+    saveJSON(this.storageKey, this.entries);
+  }
+}
+
+function pickCurrency(currency) {
+  const picked = { code: currency.code, type: currency.type };
+  if (currency.id) picked.id = currency.id;
+  return picked;
+}
@@ -0,0 +1,116 @@
+import { getCurrencyKey } from "../core/conversion-engine.js";
+import { loadJSON, saveJSON } from "./local-store.js";
+
+// Cantidad de monedas recientes que se recuerdan
+const RECENT_LIMIT = 6;
+
+/**
+ * Preferencias del usuario guardadas localmente: monedas favoritas, monedas
+ * usadas recientemente y pares fijados. Las monedas se guardan con code,
+ * name, type e id para poder mostrarlas antes de cargar el listado completo.
+ */
+export class CurrencyPreferences {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey] - Clave usada en el almacenamiento
+   */
+  constructor({ storageKey = "conversor:preferences" } = {}) {
+    this.storageKey = storageKey;
+
+    const saved = loadJSON(storageKey, {});
+    this.favorites = saved.favorites || [];
+    this.recents = saved.recents || [];
+    this.pinnedPairs = saved.pinnedPairs || [];
+  }
+
+  isFavorite(currency) {
+    const key = getCurrencyKey(currency);
+    return this.favorites.some((favorite) => getCurrencyKey(favorite) === key);
+  }
+
+  /**
+   * Marca o desmarca una moneda como favorita
+   * @param {Object} currency - Moneda con code, name, type e id
+   * @returns {boolean} true si quedó como favorita
+   */
+  toggleFavorite(currency) {
+    const key = getCurrencyKey(currency);
+
+    if (this.isFavorite(currency)) {
+      this.favorites = this.favorites.filter(
+        (favorite) => getCurrencyKey(favorite) !== key
+      );
+    } else {
+      this.favorites.push(pickCurrency(currency));
+    }
+
+    this.persist();
+    return this.isFavorite(currency);
+  }
+
+  /**
+   * Registra el uso de una moneda, que pasa al principio de las recientes
+   * @param {Object} currency - Moneda con code, name, type e id
+   */
+  addRecent(currency) {
+    const key = getCurrencyKey(currency);
+    this.recents = [
+      pickCurrency(currency),
+      ...this.recents.filter((recent) => getCurrencyKey(recent) !== key),
+    ].slice(0, RECENT_LIMIT);
+    this.persist();
+  }
+
+  /**
+   * Fija un par de monedas para convertirlo con un clic
+   * @param {Object} from - Moneda origen
+   * @param {Object} to - Moneda destino
+   */
+  pinPair(from, to) {
+    const key = getPairKey({ from, to });
+    if (this.pinnedPairs.some((pair) => getPairKey(pair) === key)) {
+      return;
+    }
+
+    this.pinnedPairs.push({ from: pickCurrency(from), to: pickCurrency(to) });
+    this.persist();
+  }
+
+  /**
+   * Quita un par fijado
+   * @param {string} key - Clave del par (ver getPairKey)
+   */
+  unpinPair(key) {
+    this.pinnedPairs = this.pinnedPairs.filter(
+      (pair) => getPairKey(pair) !== key
+    );
+    this.persist();
+  }
+
+  persist() {
+    saveJSON(this.storageKey, {
+      favorites: this.favorites,
+      recents: this.recents,
+      pinnedPairs: this.pinnedPairs,
+    });
+  }
+}
+
+/**
+ * Clave única de un par de monedas
+ * @param {{from: Object, to: Object}} pair - Par de monedas
+ * @returns {string} Clave del par
+ */
+export function getPairKey(pair) {
+  return `${getCurrencyKey(pair.from)}>${getCurrencyKey(pair.to)}`;
+}
+
+function pickCurrency(currency) {
+  const picked = {
+    code: currency.code,
+    name: currency.name || currency.code,
+    type: currency.type,
+  };
+  if (currency.id) picked.id = currency.id;
+  return picked;
+}
@@ -0,0 +1,53 @@
+/**
+ * Lectura y escritura de preferencias en localStorage como JSON.
+ * Si el almacenamiento no está disponible (modo privado, Node) las funciones
+ * devuelven el valor por defecto y no guardan nada.
+ */
+
+/**
+ * Lee un valor JSON guardado
+ * @param {string} key - Clave en el almacenamiento
+ * @param {*} fallback - Valor a devolver si no existe o no se puede leer
+ * @returns {*} Valor guardado o el valor por defecto
+ */
+export function loadJSON(key, fallback) {
+  const storage = getDefaultStorage();
+  if (!storage) return fallback;
+
+  try {
+    const raw = storage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`No se pudo leer "${key}" del almacenamiento:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Guarda un valor serializado como JSON
+ * @param {string} key - Clave en el almacenamiento
+ * @param {*} value - Valor serializable en JSON
+ */
+export function saveJSON(key, value) {
+  const storage = getDefaultStorage();
+  if (!storage) return;
+
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Cuota excedida o almacenamiento bloqueado: la preferencia dura la sesión
+    console.warn(`No se pudo guardar "${key}" en el almacenamiento:`, error);
+  }
+}
+
+/**
+ * Obtiene localStorage si está disponible (no existe en Node ni en algunos modos privados)
+ * @returns {Storage|null} Almacenamiento o null
+ */
+export function getDefaultStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,140 @@
+import { getDefaultStorage } from "./local-store.js";
+
+/**
+ * Caché de tasas en memoria con persistencia en localStorage.
+ * Cada entrada guarda el valor y el momento en que se almacenó, de modo que
+ * la vigencia (TTL) se decide al leer y no al escribir.
+ *
+ * Solo se persisten las entradas marcadas como persistentes (tablas de tasas
+ * actuales y otros datos chicos que sirven sin conexión). Las series de los
+ * gráficos quedan en memoria con un límite de entradas: al superarlo se
+ * descartan las usadas hace más tiempo.
+ */
+export class RateCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Vigencia por defecto en milisegundos
+   * @param {number} [options.maxAge] - Antigüedad a partir de la cual se descartan entradas al iniciar
+   * @param {Storage|null} [options.storage] - Almacenamiento persistente (null para solo memoria)
+   * @param {string} [options.storageKey] - Clave usada en el almacenamiento
+   * @param {number} [options.maxMemoryEntries] - Máximo de entradas no
+   *   persistentes que se mantienen en memoria
+   */
+  constructor({
+    ttl = 5 * 60 * 1000,
+    maxAge = 30 * 24 * 60 * 60 * 1000,
+    storage = getDefaultStorage(),
+    storageKey = "conversor:rate-cache",
+    maxMemoryEntries = 30,
+  } = {}) {
+    this.ttl = ttl;
+    this.maxAge = maxAge;
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.maxMemoryEntries = maxMemoryEntries;
+    this.entries = new Map(); // En orden de uso, del más antiguo al más reciente
+    this.persistentKeys = new Set();
+
+    this.restore();
+  }
+
+  /**
+   * Devuelve una entrada vigente
+   * @param {string} key - Clave de la entrada
+   * @param {number} [ttl] - Vigencia a aplicar en lugar de la por defecto
+   * @returns {{value: *, storedAt: number}|null} Entrada o null si no existe o expiró
+   */
+  get(key, ttl = this.ttl) {
+    const entry = this.entries.get(key);
+    if (!entry || Date.now() - entry.storedAt > ttl) {
+      return null;
+    }
+
+    // Marcar la entrada como usada recientemente
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Guarda un valor y, si es persistente, lo escribe en el almacenamiento
+   * @param {string} key - Clave de la entrada
+   * @param {*} value - Valor serializable en JSON
+   * @param {Object} [options]
+   * @param {boolean} [options.persist] - false para guardarlo solo en memoria
+   */
+  set(key, value, { persist = true } = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: value, storedAt: Date.now() });
+
+    if (persist) {
+      this.persistentKeys.add(key);
+      this.persist();
+    } else {
+      this.persistentKeys.delete(key);
+      this.evictMemoryEntries();
+    }
+  }
+
+  /**
+   * Elimina todas las entradas, también del almacenamiento persistente
+   */
+  clear() {
+    this.entries.clear();
+    this.persistentKeys.clear();
+    this.persist();
+  }
+
+  /**
+   * Descarta las entradas solo en memoria usadas hace más tiempo hasta
+   * quedar dentro del límite
+   */
+  evictMemoryEntries() {
+    const memoryKeys = [...this.entries.keys()].filter(
+      (key) => !this.persistentKeys.has(key)
+    );
+    memoryKeys
+      .slice(0, Math.max(0, memoryKeys.length - this.maxMemoryEntries))
+      .forEach((key) => this.entries.delete(key));
+  }
+
+  /**
+   * Recupera las entradas persistidas descartando las demasiado antiguas
+   */
+  restore() {
+    if (!this.storage) return;
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.storageKey) || "{}");
+      Object.entries(saved).forEach(([key, entry]) => {
+        if (Date.now() - entry.storedAt <= this.maxAge) {
+          this.entries.set(key, entry);
+          this.persistentKeys.add(key);
+        }
+      });
+    } catch (error) {
+      console.warn("No se pudo restaurar la caché de tasas:", error);
+    }
+  }
+
+  /**
+   * Escribe las entradas persistentes en el almacenamiento
+   */
+  persist() {
+    if (!this.storage) return;
+
+    try {
+      const persistentEntries = [...this.persistentKeys].map((key) => [
+        key,
+        this.entries.get(key),
+      ]);
+      this.storage.setItem(
+        this.storageKey,
+        JSON.stringify(Object.fromEntries(persistentEntries))
+      );
+    } catch (error) {
+      // Cuota excedida o almacenamiento bloqueado: la caché sigue en memoria
+      console.warn("No se pudo persistir la caché de tasas:", error);
+    }
+  }
+}
@@ -0,0 +1,375 @@
+import { APP_CONFIG } from "../config.js";
+import {
+  AmountExpressionError,
+  evaluateAmountExpression,
+  formatAmountInput,
+} from "../core/amount-expression.js";
+import { buildConversionQuery } from "../core/conversion-link.js";
+import { formatDecimal, formatRate } from "../core/number-format.js";
+import { RateAlertMonitor } from "../core/rate-alerts.js";
+import { getIntlLocale, t } from "../i18n/i18n.js";
+import { AlertStore } from "../storage/alert-store.js";
+
+/**
+ * Panel de alertas de tasas: crea, edita y elimina reglas, y avisa con una
+ * notificación del sistema (o dentro de la página) cuando una se cumple.
+ */
+export class AlertsPanel {
+  /**
+   * @param {Object} converter - Instancia de CurrencyConverter
+   */
+  constructor(converter) {
+    this.converter = converter;
+    this.store = new AlertStore();
+    this.editingId = null;
+
+    this.form = document.getElementById("alert-form");
+    this.fromInput = document.getElementById("alert-from");
+    this.toInput = document.getElementById("alert-to");
+    this.conditionSelect = document.getElementById("alert-condition");
+    this.thresholdInput = document.getElementById("alert-threshold");
+    this.hoursInput = document.getElementById("alert-hours");
+    this.rateTypeSelect = document.getElementById("alert-rate-type");
+    this.submitButton = document.getElementById("alert-submit");
+    this.cancelButton = document.getElementById("alert-cancel");
+    this.listElement = document.getElementById("alert-list");
+
+    if (
+      !this.form ||
+      !this.fromInput ||
+      !this.toInput ||
+      !this.conditionSelect ||
+      !this.thresholdInput ||
+      !this.hoursInput ||
+      !this.rateTypeSelect ||
+      !this.submitButton ||
+      !this.cancelButton ||
+      !this.listElement
+    ) {
+      console.error("No se encontraron los elementos del panel de alertas");
+      return;
+    }
+
+    this.monitor = new RateAlertMonitor({
+      engine: converter.engine,
+      store: this.store,
+      interval: APP_CONFIG.alerts.pollInterval,
+      onTrigger: (rule, rate, evaluation) =>
+        this.notify(rule, rate, evaluation),
+    });
+
+    this.setupEventListeners();
+    this.updateConditionFields();
+    this.render();
+    this.monitor.start();
+  }
+
+  setupEventListeners() {
+    this.converter.setupAutocomplete(this.fromInput, "alert-from-list");
+    this.converter.setupAutocomplete(this.toInput, "alert-to-list");
+
+    this.conditionSelect.addEventListener("change", () =>
+      this.updateConditionFields()
+    );
+    [this.fromInput, this.toInput].forEach((input) => {
+      input.addEventListener("currencyselected", () =>
+        this.updateRateTypeVisibility()
+      );
+      input.addEventListener("input", () => this.updateRateTypeVisibility());
+    });
+    this.form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.saveRule();
+    });
+    this.cancelButton.addEventListener("click", () => this.resetForm());
+
+    this.listElement.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-alert-action]");
+      if (!button) return;
+
+      const ruleId = button.closest("[data-rule-id]").dataset.ruleId;
+      if (button.dataset.alertAction === "edit") {
+        this.editRule(ruleId);
+      } else if (button.dataset.alertAction === "remove") {
+        this.store.remove(ruleId);
+        if (this.editingId === ruleId) this.resetForm();
+        this.render();
+      }
+    });
+
+    this.listElement.addEventListener("change", (event) => {
+      if (!event.target.matches("[data-alert-action='toggle']")) return;
+
+      const ruleId = event.target.closest("[data-rule-id]").dataset.ruleId;
+      this.store.update(ruleId, {
+        enabled: event.target.checked,
+        active: false,
+      });
+      this.render();
+    });
+  }
+
+  // Las horas solo se piden para las reglas de variación porcentual
+  updateConditionFields() {
+    const isChange = this.conditionSelect.value === "change";
+    this.hoursInput.closest(".alert-hours-field").hidden = !isChange;
+    this.form.querySelector(".alert-hours-hint").hidden = !isChange;
+    this.thresholdInput.placeholder = isChange
+      ? t("alerts.thresholdPercent")
+      : t("alerts.thresholdRate");
+  }
+
+  // El tipo de cambio solo se pide para los pares con el peso argentino
+  updateRateTypeVisibility() {
+    this.rateTypeSelect.closest(".alert-rate-type-field").hidden =
+      !this.getRateType(
+        this.converter.getSelectedCurrency(this.fromInput),
+        this.converter.getSelectedCurrency(this.toInput)
+      );
+  }
+
+  /**
+   * Tipo de cambio del peso elegido para la regla
+   * @param {Object|null} from - Moneda origen
+   * @param {Object|null} to - Moneda destino
+   * @returns {string|null} ID del tipo de cambio, o null si el par no
+   *   incluye ARS o no hay proveedor de tipos de cambio
+   */
+  getRateType(from, to) {
+    const involvesArs = [from, to].some(
+      (currency) =>
+        currency && currency.code === "ARS" && currency.type === "fiat"
+    );
+    return involvesArs && this.converter.providers.arsRates
+      ? this.rateTypeSelect.value
+      : null;
+  }
+
+  /**
+   * Crea una regla nueva o guarda la que se está editando
+   */
+  saveRule() {
+    const from = this.converter.getSelectedCurrency(this.fromInput);
+    const to = this.converter.getSelectedCurrency(this.toInput);
+    const condition = this.conditionSelect.value;
+    const threshold = this.readThreshold();
+    const hours = Number(this.hoursInput.value);
+
+    if (!from || !to) {
+      this.converter.showError(t("alerts.selectBoth"));
+      return;
+    }
+    if (!threshold || threshold.cmp(0) <= 0) {
+      this.converter.showError(t("alerts.invalidThreshold"));
+      return;
+    }
+    if (condition === "change" && !(hours > 0)) {
+      this.converter.showError(t("alerts.invalidHours"));
+      return;
+    }
+
+    const rule = {
+      from: this.pickCurrency(from),
+      to: this.pickCurrency(to),
+      condition: condition,
+      threshold: threshold.toString(),
+      hours: condition === "change" ? hours : null,
+      rateType: this.getRateType(from, to),
+    };
+
+    if (this.editingId) {
+      this.store.update(this.editingId, { ...rule, active: false });
+    } else {
+      this.store.add(rule);
+    }
+
+    this.requestNotificationPermission();
+    this.resetForm();
+    this.render();
+    this.monitor.check();
+  }
+
+  /**
+   * Lee el umbral con los separadores del idioma elegido ("1,5" en es-ES)
+   * @returns {Decimal|null} Umbral o null si está vacío o no es un número
+   */
+  readThreshold() {
+    const text = this.thresholdInput.value.trim();
+    if (!text) return null;
+
+    try {
+      return evaluateAmountExpression(text, getIntlLocale());
+    } catch (error) {
+      if (error instanceof AmountExpressionError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Carga una regla en el formulario para modificarla
+   * @param {string} ruleId - ID de la regla
+   */
+  editRule(ruleId) {
+    const rule = this.store.rules.find((candidate) => candidate.id === ruleId);
+    if (!rule) return;
+
+    this.editingId = ruleId;
+    this.converter.setSelectedCurrency(this.fromInput, rule.from);
+    this.converter.setSelectedCurrency(this.toInput, rule.to);
+    this.conditionSelect.value = rule.condition;
+    this.thresholdInput.value = formatAmountInput(
+      rule.threshold,
+      getIntlLocale()
+    );
+    this.hoursInput.value = rule.hours || 24;
+    this.rateTypeSelect.value = rule.rateType || "oficial";
+    this.submitButton.textContent = t("alerts.save");
+    this.cancelButton.hidden = false;
+    this.updateConditionFields();
+    this.updateRateTypeVisibility();
+  }
+
+  resetForm() {
+    this.editingId = null;
+    this.form.reset();
+    this.converter.clearSelection(this.fromInput);
+    this.converter.clearSelection(this.toInput);
+    this.submitButton.textContent = t("alerts.create");
+    this.cancelButton.hidden = true;
+    this.updateConditionFields();
+    this.updateRateTypeVisibility();
+  }
+
+  pickCurrency(currency) {
+    const { code, name, type, id } =
+      this.converter.findCurrency(currency) || currency;
+    return id ? { code, name, type, id } : { code, name, type };
+  }
+
+  render() {
+    if (this.store.rules.length === 0) {
+      this.listElement.innerHTML = `
+        <li class="alert-empty">${t("alerts.empty")}</li>
+      `;
+      return;
+    }
+
+    this.listElement.innerHTML = this.store.rules
+      .map(
+        (rule) => `
+          <li class="alert-rule${
+            rule.active ? " is-active" : ""
+          }" data-rule-id="${rule.id}">
+            <label>
+              <input type="checkbox" data-alert-action="toggle" ${
+                rule.enabled ? "checked" : ""
+              } />
+              ${this.describeRule(rule)}
+            </label>
+            <span class="alert-actions">
+              <button type="button" data-alert-action="edit" title="${t(
+                "alerts.editTitle"
+              )}">✏️</button>
+              <button type="button" data-alert-action="remove" title="${t(
+                "alerts.removeTitle"
+              )}">✕</button>
+            </span>
+          </li>
+        `
+      )
+      .join("");
+  }
+
+  /**
+   * Descripción legible de una regla
+   * @param {Object} rule - Regla de alerta
+   * @returns {string} Texto como "USD → ARS (Blue) por encima de 1500"
+   */
+  describeRule(rule) {
+    const rateTypeNote = rule.rateType
+      ? ` (${t(`rateTypes.${rule.rateType}`)})`
+      : "";
+    const params = {
+      pair: `${rule.from.code} → ${rule.to.code}${rateTypeNote}`,
+      threshold: formatRate(rule.threshold, getIntlLocale()),
+      hours: rule.hours,
+    };
+
+    if (rule.condition === "above") return t("alerts.describeAbove", params);
+    if (rule.condition === "below") return t("alerts.describeBelow", params);
+    return t("alerts.describeChange", params);
+  }
+
+  requestNotificationPermission() {
+    if ("Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
+  }
+
+  /**
+   * Avisa que una regla se cumplió: notificación del sistema si la página no
+   * está visible y hay permiso, y siempre un aviso dentro de la página
+   * @param {Object} rule - Regla cumplida
+   * @param {Decimal} rate - Tasa actual
+   * @param {Object} evaluation - Resultado de evaluateAlertRule
+   */
+  notify(rule, rate, evaluation) {
+    const title = `🔔 ${this.describeRule(rule)}`;
+    let body = `1 ${rule.from.code} = ${formatRate(rate, getIntlLocale())} ${
+      rule.to.code
+    }`;
+    if (evaluation.change) {
+      const sign = evaluation.change.isNegative() ? "" : "+";
+      body += ` (${sign}${formatDecimal(evaluation.change, {
+        locale: getIntlLocale(),
+        maximumFractionDigits: 2,
+      })} %)`;
+    }
+
+    this.render();
+
+    if (
+      document.hidden &&
+      "Notification" in window &&
+      Notification.permission === "granted"
+    ) {
+      this.showSystemNotification(title, {
+        body: body,
+        tag: rule.id,
+        data: {
+          url: `./${buildConversionQuery({
+            from: rule.from,
+            to: rule.to,
+            amount: "1",
+            rateType: rule.rateType,
+          })}`,
+        },
+      });
+    }
+
+    if (typeof Swal !== "undefined") {
+      Swal.fire({
+        icon: "info",
+        title: title,
+        text: body,
+        toast: true,
+        position: "top-end",
+        timer: 8000,
+        timerProgressBar: true,
+        showConfirmButton: false,
+      });
+    }
+  }
+
+  // Se prefiere el service worker: funciona también en móviles, donde el
+  // constructor Notification no está permitido
+  showSystemNotification(title, options) {
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.ready
+        .then((registration) => registration.showNotification(title, options))
+        .catch(() => new Notification(title, options));
+      return;
+    }
+    new Notification(title, options);
+  }
+}
@@ -0,0 +1,387 @@
+import {
+  batchToCsv,
+  guessColumnMapping,
+  parseAmountCell,
+  parseDateCell,
+  parseDelimitedText,
+  resolveCurrencyCell,
+} from "../core/batch-csv.js";
+import { ConversionError } from "../core/conversion-engine.js";
+import { formatRate } from "../core/number-format.js";
+import { getIntlLocale, t } from "../i18n/i18n.js";
+import { downloadTextFile } from "./download.js";
+
+// Espera tras la última tecla antes de volver a leer el texto pegado
+const PARSE_DELAY = 300;
+
+// Columnas que el usuario asigna y su selector
+const MAPPING_FIELDS = [
+  { field: "amount", selectId: "batch-amount-column" },
+  { field: "currency", selectId: "batch-currency-column" },
+  { field: "date", selectId: "batch-date-column" },
+];
+
+/**
+ * Panel de conversión por lotes: lee una planilla (archivo CSV soltado o
+ * elegido, o celdas pegadas), permite asignar las columnas de monto, moneda
+ * y fecha, convierte cada fila a una moneda destino común con la tasa de su
+ * fecha o la actual y descarga el resultado como CSV.
+ */
+export class BatchPanel {
+  /**
+   * @param {Object} converter - Instancia de CurrencyConverter (motor,
+   *   autocompletado, listado de monedas y formato de montos)
+   */
+  constructor(converter) {
+    this.converter = converter;
+    this.rows = [];
+    this.results = [];
+    this.targetCurrency = null;
+    this.parseTimer = null;
+
+    this.dropZone = document.getElementById("batch-drop-zone");
+    this.fileInput = document.getElementById("batch-file");
+    this.textInput = document.getElementById("batch-text");
+    this.mappingElement = document.getElementById("batch-mapping");
+    this.headerCheckbox = document.getElementById("batch-has-header");
+    this.targetInput = document.getElementById("batch-target");
+    this.convertButton = document.getElementById("batch-convert");
+    this.downloadButton = document.getElementById("batch-download");
+    this.statusElement = document.getElementById("batch-status");
+    this.tableBody = document.getElementById("batch-body");
+
+    if (
+      !this.dropZone ||
+      !this.fileInput ||
+      !this.textInput ||
+      !this.mappingElement ||
+      !this.headerCheckbox ||
+      !this.targetInput ||
+      !this.convertButton ||
+      !this.downloadButton ||
+      !this.statusElement ||
+      !this.tableBody
+    ) {
+      console.error(
+        "No se encontraron los elementos de la conversión por lotes"
+      );
+      return;
+    }
+
+    this.setupEventListeners();
+    this.updateControls();
+  }
+
+  setupEventListeners() {
+    this.converter.setupAutocomplete(this.targetInput, "batch-target-list");
+    this.targetInput.addEventListener("currencyselected", () => {
+      this.targetCurrency = this.converter.getSelectedCurrency(
+        this.targetInput
+      );
+      this.updateControls();
+    });
+    this.targetInput.addEventListener("input", () => {
+      this.targetCurrency = null;
+      this.updateControls();
+    });
+
+    this.fileInput.addEventListener("change", () => {
+      if (this.fileInput.files.length > 0) {
+        this.readFile(this.fileInput.files[0]);
+      }
+    });
+
+    this.dropZone.addEventListener("dragover", (event) => {
+      event.preventDefault();
+      this.dropZone.classList.add("dragging");
+    });
+    this.dropZone.addEventListener("dragleave", () =>
+      this.dropZone.classList.remove("dragging")
+    );
+    this.dropZone.addEventListener("drop", (event) => {
+      event.preventDefault();
+      this.dropZone.classList.remove("dragging");
+      if (event.dataTransfer.files.length > 0) {
+        this.readFile(event.dataTransfer.files[0]);
+      }
+    });
+
+    this.textInput.addEventListener("input", () => {
+      clearTimeout(this.parseTimer);
+      this.parseTimer = setTimeout(() => this.parse(), PARSE_DELAY);
+    });
+
+    this.headerCheckbox.addEventListener("change", () => {
+      this.fillMappingOptions(this.getMapping());
+      this.clearResults();
+    });
+    MAPPING_FIELDS.forEach(({ selectId }) => {
+      document
+        .getElementById(selectId)
+        .addEventListener("change", () => this.clearResults());
+    });
+
+    this.convertButton.addEventListener("click", () => this.convert());
+    this.downloadButton.addEventListener("click", () => this.download());
+  }
+
+  /**
+   * Carga el contenido de un archivo en el área de texto y lo interpreta
+   * @param {File} file - Archivo elegido o soltado
+   */
+  async readFile(file) {
+    try {
+      this.textInput.value = await file.text();
+      this.parse();
+    } catch (error) {
+      console.error("Error leyendo el archivo:", error);
+      this.statusElement.textContent = t("batch.readError");
+    }
+  }
+
+  /**
+   * Separa el texto en filas y propone la asignación de columnas
+   */
+  parse() {
+    clearTimeout(this.parseTimer);
+    this.rows = parseDelimitedText(this.textInput.value);
+
+    const mapping = guessColumnMapping(this.rows, getIntlLocale());
+    this.headerCheckbox.checked = mapping.hasHeader;
+    this.fillMappingOptions(mapping);
+    this.clearResults();
+  }
+
+  /**
+   * Llena los selectores de columnas con el encabezado (o "Columna N")
+   * @param {Object} mapping - Índice elegido para cada columna
+   */
+  fillMappingOptions(mapping) {
+    const header = this.getHeader();
+
+    MAPPING_FIELDS.forEach(({ field, selectId }) => {
+      const select = document.getElementById(selectId);
+      // La fecha es opcional: sin columna se usan las tasas actuales
+      const emptyOption =
+        field === "date"
+          ? `<option value="">${t("batch.currentRates")}</option>`
+          : `<option value="">—</option>`;
+
+      select.innerHTML =
+        emptyOption +
+        header
+          .map(
+            (name, index) =>
+              `<option value="${index}">${escapeHtml(name)}</option>`
+          )
+          .join("");
+      select.value = mapping[field] === null ? "" : String(mapping[field]);
+    });
+  }
+
+  /**
+   * Nombres de las columnas: la primera fila si es encabezado o "Columna N"
+   * @returns {Array<string>} Un nombre por columna
+   */
+  getHeader() {
+    const columnCount = Math.max(0, ...this.rows.map((row) => row.length));
+
+    return Array.from({ length: columnCount }, (_, index) =>
+      this.headerCheckbox.checked && this.rows[0][index]
+        ? this.rows[0][index]
+        : t("batch.column", { number: index + 1 })
+    );
+  }
+
+  /**
+   * Asignación de columnas elegida en los selectores
+   * @returns {{amount: number|null, currency: number|null, date: number|null}}
+   */
+  getMapping() {
+    return Object.fromEntries(
+      MAPPING_FIELDS.map(({ field, selectId }) => {
+        const value = document.getElementById(selectId).value;
+        return [field, value === "" ? null : Number(value)];
+      })
+    );
+  }
+
+  getDataRows() {
+    return this.headerCheckbox.checked ? this.rows.slice(1) : this.rows;
+  }
+
+  /**
+   * Convierte todas las filas a la moneda destino. Las filas con una moneda
+   * desconocida quedan con su error y el resto se cotiza en un solo lote.
+   */
+  async convert() {
+    const mapping = this.getMapping();
+    if (mapping.amount === null || mapping.currency === null) {
+      this.statusElement.textContent = t("batch.mapColumns");
+      return;
+    }
+    if (!this.targetCurrency) {
+      this.statusElement.textContent = t("batch.chooseTarget");
+      return;
+    }
+
+    const dataRows = this.getDataRows();
+    const results = dataRows.map((cells) => ({ cells: cells }));
+    const items = [];
+
+    dataRows.forEach((cells, index) => {
+      const currencyCell = cells[mapping.currency] || "";
+      const currency = resolveCurrencyCell(
+        currencyCell,
+        this.converter.allCurrencies
+      );
+      if (!currency) {
+        results[index].error = t("batch.unknownCurrency", {
+          value: currencyCell,
+        });
+        return;
+      }
+
+      const amountCell = cells[mapping.amount] || "";
+      const amount = parseAmountCell(amountCell, getIntlLocale());
+      if (amount && amount.startsWith("-")) {
+        results[index].error = t("batch.negativeAmount", {
+          value: amountCell,
+        });
+        return;
+      }
+
+      const dateCell = mapping.date === null ? "" : cells[mapping.date] || "";
+      items.push({
+        index: index,
+        // Las celdas que no se reconocen se pasan tal cual para que el
+        // motor informe el error de monto o fecha de esa fila
+        amount: amount || amountCell,
+        currency: currency,
+        date: dateCell
+          ? parseDateCell(dateCell, getIntlLocale()) || dateCell
+          : null,
+      });
+    });
+
+    this.convertButton.disabled = true;
+    this.statusElement.textContent = t("batch.converting", {
+      count: dataRows.length,
+    });
+
+    try {
+      const conversions = await this.converter.engine.convertBatch(
+        items,
+        this.targetCurrency
+      );
+      conversions.forEach(({ item, conversion, error }) => {
+        if (conversion) {
+          results[item.index].conversion = conversion;
+        } else {
+          results[item.index].error = this.getErrorMessage(error);
+        }
+      });
+
+      this.results = results;
+      this.render();
+    } catch (error) {
+      console.error("Error en la conversión por lotes:", error);
+      this.statusElement.textContent = t("conversion.failed");
+    } finally {
+      this.updateControls();
+    }
+  }
+
+  getErrorMessage(error) {
+    if (error instanceof ConversionError) {
+      return t(`errors.${error.code}`);
+    }
+    console.warn("Fila sin cotización:", error);
+    return t("batch.noQuote");
+  }
+
+  /**
+   * Dibuja una fila por cada fila de la planilla con su resultado o error
+   */
+  render() {
+    const mapping = this.getMapping();
+    // Número de fila como se ve en la planilla (contando el encabezado)
+    const firstRowNumber = this.headerCheckbox.checked ? 2 : 1;
+
+    this.tableBody.innerHTML = this.results
+      .map(({ cells, conversion, error }, index) => {
+        const dateCell = mapping.date === null ? "" : cells[mapping.date];
+
+        return `
+          <tr class="${error ? "batch-row-error" : ""}">
+            <td>${index + firstRowNumber}</td>
+            <td>${escapeHtml(cells[mapping.amount] || "")}</td>
+            <td>${escapeHtml(cells[mapping.currency] || "")}</td>
+            <td>${dateCell ? escapeHtml(dateCell) : t("batch.today")}</td>
+            <td>${
+              conversion
+                ? this.formatConversion(conversion)
+                : `<span class="batch-error">${escapeHtml(error)}</span>`
+            }</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    const converted = this.results.filter((result) => result.conversion);
+    this.statusElement.textContent = t("batch.summary", {
+      converted: converted.length,
+      failed: this.results.length - converted.length,
+    });
+  }
+
+  formatConversion(conversion) {
+    const { from, to, rate, result } = conversion;
+
+    return `
+      <strong>${this.converter.formatNumber(result, to)} ${to.code}</strong>
+      <small class="batch-rate">1 ${from.code} = ${formatRate(
+      rate,
+      getIntlLocale()
+    )} ${to.code}</small>
+    `;
+  }
+
+  /**
+   * Descarga la planilla original con las columnas de la conversión
+   */
+  download() {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTextFile(
+      `${t("batch.filename")}-${date}.csv`,
+      batchToCsv(this.getHeader(), this.results, (key) =>
+        t(`batch.csvColumns.${key}`)
+      ),
+      "text/csv"
+    );
+  }
+
+  clearResults() {
+    this.results = [];
+    this.tableBody.innerHTML = "";
+    const dataRows = this.getDataRows();
+    this.statusElement.textContent =
+      dataRows.length > 0 ? t("batch.ready", { count: dataRows.length }) : "";
+    this.updateControls();
+  }
+
+  updateControls() {
+    this.mappingElement.hidden = this.rows.length === 0;
+    this.convertButton.disabled =
+      this.getDataRows().length === 0 || !this.targetCurrency;
+    this.downloadButton.disabled = this.results.length === 0;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
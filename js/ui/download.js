@@ -0,0 +1,43 @@
+/**
+ * Descarga un texto como archivo desde el navegador
+ * @param {string} filename - Nombre sugerido del archivo
+ * @param {string} content - Contenido del archivo
+ * @param {string} mimeType - Tipo MIME (p. ej. "text/csv")
+ */
+export function downloadTextFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  downloadUrl(filename, url);
+
+  // Dar tiempo al navegador a iniciar la descarga antes de liberar el blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Descarga el contenido de un canvas como imagen PNG, sobre fondo blanco
+ * para que no quede transparente al pegarla en documentos o diapositivas
+ * @param {string} filename - Nombre sugerido del archivo
+ * @param {HTMLCanvasElement} sourceCanvas - Canvas a exportar
+ */
+export function downloadCanvasImage(filename, sourceCanvas) {
+  const canvas = document.createElement("canvas");
+  canvas.width = sourceCanvas.width;
+  canvas.height = sourceCanvas.height;
+
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(sourceCanvas, 0, 0);
+
+  downloadUrl(filename, canvas.toDataURL("image/png"));
+}
+
+function downloadUrl(filename, url) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
@@ -0,0 +1,256 @@
+import { Decimal } from "../core/decimal.js";
+import { historyToCsv, historyToJson } from "../core/history-export.js";
+import { formatRate } from "../core/number-format.js";
+import { getIntlLocale, t } from "../i18n/i18n.js";
+import { ConversionHistory } from "../storage/conversion-history.js";
+import { downloadTextFile } from "./download.js";
+
+/**
+ * Panel con el historial de conversiones. Cada entrada puede repetirse con
+ * la tasa actual para compararla con la que se usó en su momento, y el
+ * historial completo se exporta a CSV o JSON.
+ */
+export class HistoryPanel {
+  /**
+   * @param {Object} converter - Instancia de CurrencyConverter (motor y
+   *   formato de montos y fechas)
+   */
+  constructor(converter) {
+    this.converter = converter;
+    this.history = new ConversionHistory();
+
+    this.listElement = document.getElementById("history-list");
+    this.exportCsvButton = document.getElementById("history-export-csv");
+    this.exportJsonButton = document.getElementById("history-export-json");
+    this.clearButton = document.getElementById("history-clear");
+
+    if (
+      !this.listElement ||
+      !this.exportCsvButton ||
+      !this.exportJsonButton ||
+      !this.clearButton
+    ) {
+      console.error("No se encontraron los elementos del historial");
+      return;
+    }
+
+    this.setupEventListeners();
+    this.render();
+  }
+
+  setupEventListeners() {
+    this.exportCsvButton.addEventListener("click", () =>
+      this.export(
+        "csv",
+        (entries) =>
+          historyToCsv(entries, (key) => t(`history.csvColumns.${key}`)),
+        "text/csv"
+      )
+    );
+    this.exportJsonButton.addEventListener("click", () =>
+      this.export("json", historyToJson, "application/json")
+    );
+    this.clearButton.addEventListener("click", () => this.clear());
+
+    this.listElement.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-history-action]");
+      if (!button) return;
+
+      const entryId = button.closest("[data-entry-id]").dataset.entryId;
+      if (button.dataset.historyAction === "replay") {
+        this.replay(entryId);
+      } else if (button.dataset.historyAction === "remove") {
+        this.history.remove(entryId);
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Agrega una conversión al historial
+   * @param {Object} conversion - Resultado de ConversionEngine.convert
+   */
+  record(conversion) {
+    this.history.add(conversion);
+    this.render();
+  }
+
+  render() {
+    const entries = this.history.entries;
+    const hasEntries = entries.length > 0;
+
+    this.exportCsvButton.disabled = !hasEntries;
+    this.exportJsonButton.disabled = !hasEntries;
+    this.clearButton.disabled = !hasEntries;
+
+    if (!hasEntries) {
+      this.listElement.innerHTML = `
+        <li class="history-empty">${t("history.empty")}</li>
+      `;
+      return;
+    }
+
+    this.listElement.innerHTML = entries
+      .map((entry) => this.renderEntry(entry))
+      .join("");
+  }
+
+  renderEntry(entry) {
+    const convertedAt = new Date(entry.convertedAt).toLocaleString(
+      getIntlLocale(),
+      {
+        dateStyle: "short",
+        timeStyle: "short",
+      }
+    );
+    const formattedAmount = this.converter.formatNumber(
+      entry.amount,
+      entry.from
+    );
+    const formattedResult = this.converter.formatNumber(entry.result, entry.to);
+    const formattedRate = formatRate(entry.rate, getIntlLocale());
+    const sources = entry.sources.map((source) => source.name).join(" + ");
+    const offlineNote = entry.offline ? ` · ${t("history.offlineRates")}` : "";
+    const dateNote = entry.date
+      ? ` · ${t("history.ratesOf", { date: formatDay(entry.date) })}`
+      : "";
+    const rateTypeNote = entry.rateType
+      ? ` · ${t(`rateTypes.${entry.rateType}`)}`
+      : "";
+
+    return `
+      <li class="history-entry" data-entry-id="${entry.id}">
+        <div class="history-entry-header">
+          <span class="history-date">${convertedAt}</span>
+          <span class="history-actions">
+            <button type="button" data-history-action="replay" title="${t(
+              "history.replayTitle"
+            )}">🔁</button>
+            <button type="button" data-history-action="remove" title="${t(
+              "history.removeTitle"
+            )}">✕</button>
+          </span>
+        </div>
+        <div class="history-pair">
+          ${formattedAmount} ${entry.from.code} = <strong>${formattedResult} ${
+      entry.to.code
+    }</strong>
+        </div>
+        <div class="history-details">
+          1 ${entry.from.code} = ${formattedRate} ${
+      entry.to.code
+    }${dateNote}${rateTypeNote} · ${sources}${offlineNote}
+        </div>
+        <div class="history-replay"></div>
+      </li>
+    `;
+  }
+
+  /**
+   * Vuelve a convertir una entrada con la tasa actual y muestra la diferencia
+   * @param {string} entryId - ID de la entrada
+   */
+  async replay(entryId) {
+    const entry = this.history.entries.find((item) => item.id === entryId);
+    const replayElement = this.listElement.querySelector(
+      `[data-entry-id="${entryId}"] .history-replay`
+    );
+    if (!entry || !replayElement) return;
+
+    replayElement.textContent = t("history.replaying");
+
+    try {
+      const conversion = await this.converter.engine.convert(
+        entry.amount,
+        entry.from,
+        entry.to,
+        getReplayOptions(entry)
+      );
+      const formattedResult = this.converter.formatNumber(
+        conversion.result,
+        conversion.to
+      );
+
+      const result = `<strong>${formattedResult} ${entry.to.code}</strong>`;
+
+      replayElement.innerHTML = `
+        ${t("history.today", { result: result })}
+        <span class="history-change">${t("history.rateChange", {
+          change: formatRateChange(entry.rate, conversion.rate),
+        })}</span>
+      `;
+    } catch (error) {
+      console.error("Error repitiendo la conversión:", error);
+      replayElement.textContent = t("history.replayError");
+    }
+  }
+
+  export(extension, serialize, mimeType) {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTextFile(
+      `${t("history.filename")}-${date}.${extension}`,
+      serialize(this.history.entries),
+      mimeType
+    );
+  }
+
+  async clear() {
+    const confirmed =
+      typeof Swal !== "undefined"
+        ? (
+            await Swal.fire({
+              icon: "warning",
+              title: t("history.clearTitle"),
+              text: t("history.clearText"),
+              showCancelButton: true,
+              confirmButtonText: t("history.clearConfirm"),
+              cancelButtonText: t("history.clearCancel"),
+              confirmButtonColor: "#dc3545",
+            })
+          ).isConfirmed
+        : window.confirm(t("history.clearTitle"));
+
+    if (confirmed) {
+      this.history.clear();
+      this.render();
+    }
+  }
+}
+
+/**
+ * Variación porcentual entre la tasa guardada y la actual
+ * @param {string} previousRate - Tasa de la entrada
+ * @param {Decimal} currentRate - Tasa de hoy
+ * @returns {string} Variación con signo, p. ej. "+1,25 %"
+ */
+function formatRateChange(previousRate, currentRate) {
+  const change = Decimal.from(currentRate)
+    .sub(previousRate)
+    .div(previousRate)
+    .mul(100)
+    .toNumber();
+
+  return `${new Intl.NumberFormat(getIntlLocale(), {
+    signDisplay: "exceptZero",
+    maximumFractionDigits: 2,
+  }).format(change)} %`;
+}
+
+/**
+ * Opciones de conversión para repetir una entrada con la tasa de hoy. Las
+ * entradas de una fecha pasada también se repiten con la tasa actual: la
+ * tasa guardada es la referencia de la comparación.
+ * @param {Object} entry - Entrada del historial
+ * @returns {{rateType?: string}} Opciones para ConversionEngine.convert
+ */
+function getReplayOptions(entry) {
+  return entry.rateType ? { rateType: entry.rateType } : {};
+}
+
+// Las fechas de las tasas históricas son días UTC, sin hora
+function formatDay(date) {
+  return new Date(Date.parse(date)).toLocaleDateString(getIntlLocale(), {
+    dateStyle: "medium",
+    timeZone: "UTC",
+  });
+}
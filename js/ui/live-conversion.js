@@ -0,0 +1,181 @@
+import { formatAmountInput } from "../core/amount-expression.js";
+import { ConversionError } from "../core/conversion-engine.js";
+import { formatRate } from "../core/number-format.js";
+import { getIntlLocale, t } from "../i18n/i18n.js";
+
+// Espera tras la última tecla antes de volver a cotizar
+const REFRESH_DELAY = 350;
+
+/**
+ * Conversión en vivo entre los dos campos de monto del formulario: al
+ * escribir en el monto de origen se recalcula el de destino y viceversa,
+ * con la cotización de las monedas, la fecha y el tipo de cambio elegidos.
+ * El resultado detallado (historial, gráfico, enlace) sigue saliendo del
+ * botón Convertir.
+ */
+export class LiveConversion {
+  /**
+   * @param {Object} converter - Instancia de CurrencyConverter (motor,
+   *   selección de monedas y opciones de conversión)
+   */
+  constructor(converter) {
+    this.converter = converter;
+    this.editedField = "source"; // Campo que escribió el usuario por última vez
+    this.refreshTimer = null;
+    this.requestId = 0; // Descarta respuestas de cotizaciones anteriores
+    this.syncing = false; // true mientras se escribe el campo calculado
+
+    this.sourceInput = document.getElementById("amount");
+    this.targetInput = document.getElementById("target-amount");
+    this.fromCurrencyInput = document.getElementById("from-currency");
+    this.toCurrencyInput = document.getElementById("to-currency");
+    this.statusElement = document.getElementById("live-rate");
+
+    if (
+      !this.sourceInput ||
+      !this.targetInput ||
+      !this.fromCurrencyInput ||
+      !this.toCurrencyInput ||
+      !this.statusElement
+    ) {
+      console.error("No se encontraron los elementos de la conversión en vivo");
+      return;
+    }
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.sourceInput.addEventListener("input", () => {
+      if (this.syncing) return;
+      this.editedField = "source";
+      this.scheduleRefresh();
+    });
+    this.targetInput.addEventListener("input", () => {
+      if (this.syncing) return;
+      this.editedField = "target";
+      this.scheduleRefresh();
+    });
+
+    // Cambiar monedas, fecha o tipo de cambio recalcula el otro campo
+    [this.fromCurrencyInput, this.toCurrencyInput].forEach((input) =>
+      input.addEventListener("currencyselected", () => this.scheduleRefresh())
+    );
+    ["rate-date", "rate-type"].forEach((inputId) => {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.addEventListener("change", () => this.scheduleRefresh());
+      }
+    });
+
+    this.targetInput.addEventListener("keypress", (event) => {
+      if (event.key === "Enter") {
+        this.converter.convertCurrency();
+      }
+    });
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+  }
+
+  /**
+   * Recalcula el campo que no escribió el usuario
+   */
+  async refresh() {
+    clearTimeout(this.refreshTimer);
+    const requestId = ++this.requestId;
+
+    const fromTarget = this.editedField === "target";
+    const [editedInput, computedInput] = fromTarget
+      ? [this.targetInput, this.sourceInput]
+      : [this.sourceInput, this.targetInput];
+    const amount = this.converter.readAmount(editedInput);
+    const fromCurrency = this.converter.getSelectedCurrency(
+      this.fromCurrencyInput
+    );
+    const toCurrency = this.converter.getSelectedCurrency(this.toCurrencyInput);
+
+    if (!fromCurrency || !toCurrency || !amount || amount.cmp(0) <= 0) {
+      this.setComputedAmount(computedInput, "");
+      this.statusElement.textContent = "";
+      return;
+    }
+
+    const engine = this.converter.engine;
+    const options = this.converter.getConversionOptions();
+
+    try {
+      const conversion = fromTarget
+        ? await engine.convertFromTarget(
+            amount,
+            fromCurrency,
+            toCurrency,
+            options
+          )
+        : await engine.convert(amount, fromCurrency, toCurrency, options);
+
+      if (requestId !== this.requestId) return;
+
+      this.setComputedAmount(
+        computedInput,
+        formatAmountInput(
+          fromTarget ? conversion.amount : conversion.result,
+          getIntlLocale()
+        )
+      );
+      this.statusElement.textContent = `1 ${fromCurrency.code} = ${formatRate(
+        conversion.rate,
+        getIntlLocale()
+      )} ${toCurrency.code}`;
+      this.statusElement.classList.remove("error");
+    } catch (error) {
+      if (requestId !== this.requestId) return;
+
+      this.setComputedAmount(computedInput, "");
+      this.statusElement.textContent =
+        error instanceof ConversionError
+          ? t(`errors.${error.code}`)
+          : t("conversion.failed");
+      this.statusElement.classList.add("error");
+    }
+  }
+
+  /**
+   * Muestra el monto de destino de una conversión hecha desde el formulario
+   * @param {Object} conversion - Resultado de ConversionEngine.convert
+   */
+  showConversion(conversion) {
+    this.editedField = "source";
+    this.setComputedAmount(
+      this.targetInput,
+      formatAmountInput(conversion.result, getIntlLocale())
+    );
+  }
+
+  /**
+   * Intercambia los dos montos, acompañando el intercambio de monedas
+   */
+  swapAmounts() {
+    const sourceAmount = this.sourceInput.value;
+    this.setComputedAmount(this.sourceInput, this.targetInput.value);
+    this.setComputedAmount(this.targetInput, sourceAmount);
+    this.editedField = "source";
+  }
+
+  /**
+   * Escribe un monto calculado avisando a los demás componentes (p. ej. la
+   * tabla de destinos) sin que cuente como edición del usuario
+   * @param {HTMLInputElement} input - Campo de monto
+   * @param {string} value - Monto con el separador decimal del idioma o vacío
+   */
+  setComputedAmount(input, value) {
+    if (input.value === value) return;
+
+    this.syncing = true;
+    input.value = value;
+    input.dispatchEvent(new Event("input"));
+    this.syncing = false;
+  }
+}
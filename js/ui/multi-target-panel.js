@@ -0,0 +1,240 @@
+import { formatRate } from "../core/number-format.js";
+import { getCurrencyKey } from "../core/conversion-engine.js";
+import { getIntlLocale, t } from "../i18n/i18n.js";
+import { loadJSON, saveJSON } from "../storage/local-store.js";
+
+const STORAGE_KEY = "conversor:multi-target";
+
+// Destinos iniciales mientras el usuario no elija los suyos
+const DEFAULT_TARGETS = [
+  { code: "USD", name: "Dólar Estadounidense", type: "fiat" },
+  { code: "EUR", name: "Euro", type: "fiat" },
+  { code: "ARS", name: "Peso Argentino", type: "fiat" },
+  { code: "BRL", name: "Real Brasileño", type: "fiat" },
+  { code: "BTC", name: "Bitcoin", type: "crypto", id: "bitcoin" },
+];
+
+// Espera tras la última tecla antes de volver a cotizar
+const REFRESH_DELAY = 350;
+
+/**
+ * Tabla que convierte el monto y la moneda de origen del conversor a una
+ * lista de monedas destino elegida por el usuario. Se actualiza en vivo al
+ * cambiar el monto o la moneda de origen y recuerda los destinos elegidos.
+ */
+export class MultiTargetPanel {
+  /**
+   * @param {Object} converter - Instancia de CurrencyConverter (motor,
+   *   autocompletado y formato de montos)
+   */
+  constructor(converter) {
+    this.converter = converter;
+    this.targets = loadJSON(STORAGE_KEY, DEFAULT_TARGETS);
+    this.refreshTimer = null;
+    this.requestId = 0; // Descarta respuestas de cotizaciones anteriores
+
+    this.amountInput = document.getElementById("amount");
+    this.fromCurrencyInput = document.getElementById("from-currency");
+    this.targetInput = document.getElementById("target-currency");
+    this.tableBody = document.getElementById("multi-target-body");
+    this.statusElement = document.getElementById("multi-target-status");
+
+    if (
+      !this.amountInput ||
+      !this.fromCurrencyInput ||
+      !this.targetInput ||
+      !this.tableBody ||
+      !this.statusElement
+    ) {
+      console.error("No se encontraron los elementos de la tabla de destinos");
+      return;
+    }
+
+    this.setupEventListeners();
+    this.render([]);
+  }
+
+  setupEventListeners() {
+    this.converter.setupAutocomplete(this.targetInput, "target-currency-list");
+
+    this.targetInput.addEventListener("currencyselected", () => {
+      const currency = this.converter.getSelectedCurrency(this.targetInput);
+      currency.name = this.targetInput.value.split(" - ").slice(1).join(" - ");
+
+      this.addTarget(currency);
+      this.targetInput.value = "";
+      this.converter.clearSelection(this.targetInput);
+    });
+
+    this.amountInput.addEventListener("input", () => this.scheduleRefresh());
+    this.fromCurrencyInput.addEventListener("currencyselected", () =>
+      this.refresh()
+    );
+
+    this.tableBody.addEventListener("click", (event) => {
+      const removeButton = event.target.closest("[data-remove-key]");
+      if (removeButton) {
+        this.removeTarget(removeButton.dataset.removeKey);
+      }
+    });
+  }
+
+  /**
+   * Agrega una moneda destino si no estaba en la lista
+   * @param {Object} currency - Moneda con code, type, id y name
+   */
+  addTarget(currency) {
+    const key = getCurrencyKey(currency);
+    if (this.targets.some((target) => getCurrencyKey(target) === key)) {
+      return;
+    }
+
+    this.targets.push(currency);
+    saveJSON(STORAGE_KEY, this.targets);
+    this.refresh();
+  }
+
+  /**
+   * Quita una moneda destino de la lista
+   * @param {string} key - Clave de la moneda (ver getCurrencyKey)
+   */
+  removeTarget(key) {
+    this.targets = this.targets.filter(
+      (target) => getCurrencyKey(target) !== key
+    );
+    saveJSON(STORAGE_KEY, this.targets);
+    this.refresh();
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+  }
+
+  /**
+   * Vuelve a convertir el monto actual a todos los destinos
+   */
+  async refresh() {
+    clearTimeout(this.refreshTimer);
+    const requestId = ++this.requestId;
+
+    const amount = this.converter.readAmount(this.amountInput);
+    const fromCurrency = this.converter.getSelectedCurrency(
+      this.fromCurrencyInput
+    );
+
+    if (
+      !fromCurrency ||
+      !amount ||
+      amount.cmp(0) <= 0 ||
+      this.targets.length === 0
+    ) {
+      this.render([]);
+      return;
+    }
+
+    this.statusElement.textContent = t("multiTarget.updating");
+
+    try {
+      const results = await this.converter.engine.convertMany(
+        amount,
+        fromCurrency,
+        this.targets
+      );
+
+      if (requestId === this.requestId) {
+        this.render(results);
+      }
+    } catch (error) {
+      if (requestId === this.requestId) {
+        this.render([]);
+        this.statusElement.textContent = error.message;
+      }
+    }
+  }
+
+  /**
+   * Dibuja una fila por destino con el monto convertido y la tasa
+   * @param {Array<Object>} results - Resultados de ConversionEngine.convertMany
+   */
+  render(results) {
+    const resultsByKey = new Map(
+      results.map((result) => [getCurrencyKey(result.target), result])
+    );
+
+    this.tableBody.innerHTML = this.targets
+      .map((target) => {
+        const key = getCurrencyKey(target);
+        const result = resultsByKey.get(key);
+        // El nombre del listado cargado está en el idioma actual
+        const listedCurrency = this.converter.findCurrency(target);
+        const name = (listedCurrency && listedCurrency.name) || target.name;
+
+        return `
+          <tr>
+            <td>
+              <span class="currency-code">${target.code}</span>
+              <span class="currency-name">${name || ""}</span>
+            </td>
+            <td class="multi-target-amount">${this.formatResult(result)}</td>
+            <td class="multi-target-rate">${this.formatResultRate(result)}</td>
+            <td>
+              <button type="button" class="multi-target-remove" data-remove-key="${key}" title="${t(
+          "multiTarget.removeTitle",
+          { code: target.code }
+        )}">✕</button>
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    this.statusElement.innerHTML = this.getStatus(results);
+  }
+
+  formatResult(result) {
+    if (!result) return "—";
+    if (result.error)
+      return `<span class="multi-target-error">${t(
+        "multiTarget.noQuote"
+      )}</span>`;
+
+    return this.converter.formatNumber(
+      result.conversion.result,
+      result.conversion.to
+    );
+  }
+
+  formatResultRate(result) {
+    if (!result || result.error) return "";
+
+    const { from, to, rate } = result.conversion;
+    return `1 ${from.code} = ${formatRate(rate, getIntlLocale())} ${to.code}`;
+  }
+
+  /**
+   * Texto bajo la tabla: indicación de uso o fecha de las tasas más antiguas
+   * @param {Array<Object>} results - Resultados mostrados
+   * @returns {string} HTML del estado
+   */
+  getStatus(results) {
+    if (this.targets.length === 0) {
+      return t("multiTarget.noTargets");
+    }
+
+    const conversions = results
+      .filter((result) => result.conversion && result.conversion.sources.length)
+      .map((result) => result.conversion);
+
+    if (conversions.length === 0) {
+      return results.length ? "" : t("multiTarget.fillForm");
+    }
+
+    return this.converter.createRatesAsOfBadge({
+      timestamp: Math.min(
+        ...conversions.map((conversion) => conversion.timestamp)
+      ),
+      offline: conversions.some((conversion) => conversion.offline),
+    });
+  }
+}
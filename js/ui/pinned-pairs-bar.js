@@ -0,0 +1,117 @@
+import { t } from "../i18n/i18n.js";
+import { getPairKey } from "../storage/currency-preferences.js";
+
+/**
+ * Barra de pares fijados: cada par se convierte con un solo clic usando el
+ * monto ingresado (o 1 si el campo está vacío).
+ */
+export class PinnedPairsBar {
+  /**
+   * @param {Object} converter - Instancia de CurrencyConverter
+   * @param {Object} preferences - Instancia de CurrencyPreferences
+   */
+  constructor(converter, preferences) {
+    this.converter = converter;
+    this.preferences = preferences;
+
+    this.barElement = document.getElementById("pinned-pairs");
+    this.pinButton = document.getElementById("pin-pair-btn");
+
+    if (!this.barElement || !this.pinButton) {
+      console.error("No se encontraron los elementos de pares fijados");
+      return;
+    }
+
+    this.setupEventListeners();
+    this.render();
+  }
+
+  setupEventListeners() {
+    this.pinButton.addEventListener("click", () => this.pinCurrentPair());
+
+    this.barElement.addEventListener("click", (event) => {
+      const chip = event.target.closest("[data-pair-key]");
+      if (!chip) return;
+
+      if (event.target.closest(".pinned-pair-remove")) {
+        this.preferences.unpinPair(chip.dataset.pairKey);
+        this.render();
+      } else {
+        this.runPair(chip.dataset.pairKey);
+      }
+    });
+  }
+
+  /**
+   * Fija el par seleccionado actualmente en el formulario
+   */
+  pinCurrentPair() {
+    const fromCurrency = this.converter.getSelectedCurrency(
+      document.getElementById("from-currency")
+    );
+    const toCurrency = this.converter.getSelectedCurrency(
+      document.getElementById("to-currency")
+    );
+
+    if (!fromCurrency || !toCurrency) {
+      this.converter.showError(t("pinned.selectBoth"));
+      return;
+    }
+
+    this.preferences.pinPair(
+      this.converter.findCurrency(fromCurrency) || fromCurrency,
+      this.converter.findCurrency(toCurrency) || toCurrency
+    );
+    this.render();
+  }
+
+  /**
+   * Carga un par fijado en el formulario y lo convierte
+   * @param {string} key - Clave del par
+   */
+  runPair(key) {
+    const pair = this.preferences.pinnedPairs.find(
+      (pinnedPair) => getPairKey(pinnedPair) === key
+    );
+    if (!pair) return;
+
+    const amountInput = document.getElementById("amount");
+    if (!amountInput.value) {
+      amountInput.value = "1";
+      amountInput.dispatchEvent(new Event("input"));
+    }
+
+    this.converter.setSelectedCurrency(
+      document.getElementById("from-currency"),
+      this.converter.findCurrency(pair.from) || pair.from
+    );
+    this.converter.setSelectedCurrency(
+      document.getElementById("to-currency"),
+      this.converter.findCurrency(pair.to) || pair.to
+    );
+    this.converter.convertCurrency();
+  }
+
+  render() {
+    this.barElement.innerHTML = this.preferences.pinnedPairs
+      .map(
+        (pair) => `
+          <span class="pinned-pair" data-pair-key="${getPairKey(pair)}">
+            <button type="button" class="pinned-pair-run" title="${t(
+              "pinned.runTitle",
+              {
+                from: pair.from.code,
+                to: pair.to.code,
+              }
+            )}">
+              ${pair.from.code} → ${pair.to.code}
+            </button>
+            <button type="button" class="pinned-pair-remove" title="${t(
+              "pinned.removeTitle"
+            )}">✕</button>
+          </span>
+        `
+      )
+      .join("");
+  }
+}
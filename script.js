@@ -3,32 +3,239 @@
  * Aplicación web para conversión en tiempo real entre monedas fiduciarias y criptomonedas
  * con gráficos de tendencias y autocompletado inteligente.
  */
+import { APP_CONFIG } from "./js/config.js";
+import {
+  AmountExpressionError,
+  evaluateAmountExpression,
+  formatAmountInput,
+  isPlainAmount,
+} from "./js/core/amount-expression.js";
+import {
+  DEFAULT_CHART_RANGE,
+  formatChartTimestamp,
+  getChartFormats,
+  getChartRange,
+} from "./js/core/chart-ranges.js";
+import {
+  bollingerBands,
+  exponentialMovingAverage,
+  findExtremes,
+  periodChange,
+  simpleMovingAverage,
+  volatility,
+} from "./js/core/chart-indicators.js";
+import { chartToCsv, chartToJson } from "./js/core/chart-export.js";
+import {
+  combineSeries,
+  invertCandles,
+  invertSeries,
+  normalizeSeries,
+  scaleCandles,
+} from "./js/core/chart-series.js";
+import {
+  ConversionEngine,
+  ConversionError,
+  getCurrencyKey,
+} from "./js/core/conversion-engine.js";
+import {
+  buildConversionQuery,
+  parseConversionQuery,
+  resolveCurrencyParam,
+} from "./js/core/conversion-link.js";
+import { setFiatMinorUnits } from "./js/core/currency-precision.js";
+import { searchCurrencies } from "./js/core/currency-search.js";
+import {
+  formatCurrencyAmount,
+  formatDecimal,
+  formatRate,
+} from "./js/core/number-format.js";
+import { withRateCache } from "./js/providers/cached-provider.js";
+import {
+  SUPPORTED_LOCALES,
+  applyTranslations,
+  detectLocale,
+  getCurrencyDisplayName,
+  getIntlLocale,
+  getLocale,
+  loadLocale,
+  saveLocale,
+  t,
+} from "./js/i18n/i18n.js";
+import { createProvider } from "./js/providers/index.js";
+import { toIsoDate } from "./js/providers/provider.js";
+import {
+  CurrencyPreferences,
+  getPairKey,
+} from "./js/storage/currency-preferences.js";
+import { loadJSON, saveJSON } from "./js/storage/local-store.js";
+import { RateCache } from "./js/storage/rate-cache.js";
+import { AlertsPanel } from "./js/ui/alerts-panel.js";
+import { BatchPanel } from "./js/ui/batch-panel.js";
+import { downloadCanvasImage, downloadTextFile } from "./js/ui/download.js";
+import { HistoryPanel } from "./js/ui/history-panel.js";
+import { LiveConversion } from "./js/ui/live-conversion.js";
+import { MultiTargetPanel } from "./js/ui/multi-target-panel.js";
+import { PinnedPairsBar } from "./js/ui/pinned-pairs-bar.js";
+
+const CHART_INDICATORS_KEY = "conversor:chart-indicators";
+const ARS_RATE_TYPE_KEY = "conversor:ars-rate-type";
+
+// Períodos de los indicadores técnicos y cuáles se muestran al iniciar
+const DEFAULT_CHART_INDICATORS = {
+  smaPeriod: 20,
+  emaPeriod: 50,
+  bollingerPeriod: 20,
+  visible: { sma: false, ema: false, bollinger: false, extremes: false },
+};
+
+// Colores de cada par en el gráfico de comparación
+const COMPARISON_COLORS = [
+  "#667eea",
+  "#fd7e14",
+  "#20c997",
+  "#e83e8c",
+  "#6f42c1",
+  "#17a2b8",
+  "#ffc107",
+  "#28a745",
+];
+
+// Campos del panel de indicadores y el ajuste que modifica cada uno
+const INDICATOR_PERIOD_INPUTS = [
+  { inputId: "chart-sma-period", setting: "smaPeriod" },
+  { inputId: "chart-ema-period", setting: "emaPeriod" },
+  { inputId: "chart-bollinger-period", setting: "bollingerPeriod" },
+];
+
+function loadChartIndicatorSettings() {
+  const saved = loadJSON(CHART_INDICATORS_KEY, {});
+  return {
+    ...DEFAULT_CHART_INDICATORS,
+    ...saved,
+    visible: { ...DEFAULT_CHART_INDICATORS.visible, ...saved.visible },
+  };
+}
+
 class CurrencyConverter {
   constructor() {
-    // Configuración de APIs
-    this.exchangeRateAPI = "https://api.exchangerate-api.com/v4/latest/";
-    this.coinGeckoAPI = "https://api.coingecko.com/api/v3/simple/price";
+    // Proveedores de tasas elegidos en js/config.js, servidos desde caché
+    this.rateCache = new RateCache({ ttl: APP_CONFIG.cache.ratesTtl });
+    this.providers = {
+      fiat: this.createCachedProvider(APP_CONFIG.providers.fiat),
+      crypto: this.createCachedProvider(APP_CONFIG.providers.crypto),
+      fiatHistory: this.createCachedProvider(APP_CONFIG.providers.fiatHistory),
+      arsRates: APP_CONFIG.providers.arsRates
+        ? this.createCachedProvider(APP_CONFIG.providers.arsRates)
+        : null,
+    };
+
+    // Motor de conversión sin dependencias del DOM
+    this.engine = new ConversionEngine({
+      fiat: this.providers.fiat,
+      crypto: this.providers.crypto,
+      fiatHistory: this.providers.fiatHistory,
+      arsRates: this.providers.arsRates,
+    });
 
     // Almacenamiento de datos dinámicos
     this.allCurrencies = [];
-    this.cryptoIdMap = new Map(); // Renombrado para mayor claridad
+    this.cryptoCurrenciesById = new Map(); // Criptomonedas por ID del proveedor
+    this.collidingCryptoCodes = new Set(); // Tickers compartidos por varias criptomonedas
     this.priceChart = null; // Instancia del gráfico Chart.js
+    this.chartPair = null; // Par mostrado en el gráfico
+    this.chartRange = DEFAULT_CHART_RANGE; // Rango de tiempo del gráfico
+    this.chartMode = "line"; // "line" o "candles" (solo pares con criptomonedas)
+    this.chartRequestId = 0; // Descarta respuestas de cargas anteriores
+    this.chartData = null; // Serie mostrada, para redibujar los indicadores
+    this.chartTitle = null; // Par de la serie mostrada ("BTC → EUR")
+    this.comparedPairs = []; // Pares que se superponen en el gráfico normalizado
+    this.chartTable = null; // Serie dibujada, en el formato de exportación
+    this.chartIndicators = loadChartIndicatorSettings(); // Indicadores técnicos
+    this.preferences = new CurrencyPreferences(); // Favoritas, recientes y pares fijados
 
     // Datos estáticos cargados desde archivos JSON externos
-    this.currencyNames = {};
+    this.currencyMetadata = {}; // Metadatos ISO 4217 por código de moneda
     this.popularCurrencyCodes = []; // Renombrado para mayor claridad
+    this.currencyAliases = {}; // Países y símbolos para la búsqueda
     this.fallbackCryptoCurrencies = []; // Renombrado para mayor claridad
 
     this.init();
   }
 
+  /**
+   * Crea un proveedor configurado envuelto con la caché de tasas compartida
+   * @param {string|Object} providerConfig - Entrada de APP_CONFIG.providers
+   * @returns {Object} Proveedor con caché
+   */
+  createCachedProvider(providerConfig) {
+    return withRateCache(createProvider(providerConfig), this.rateCache, {
+      ratesTtl: APP_CONFIG.cache.ratesTtl,
+      historyTtl: APP_CONFIG.cache.historyTtl,
+    });
+  }
+
   /**
    * Inicializa la aplicación configurando eventos y cargando datos
    */
-  init() {
+  async init() {
+    // Los textos deben estar disponibles antes de dibujar cualquier panel
+    await this.setupLanguage();
+
     this.setupEventListeners();
+    this.liveConversion = new LiveConversion(this);
+    this.multiTargetPanel = new MultiTargetPanel(this);
+    this.batchPanel = new BatchPanel(this);
+    this.historyPanel = new HistoryPanel(this);
+    this.pinnedPairsBar = new PinnedPairsBar(this, this.preferences);
+    this.alertsPanel = new AlertsPanel(this);
+    this.registerServiceWorker();
     this.loadStaticData().then(() => {
-      this.showWelcomeMessage();
+      // Quien abre un enlace compartido va directo a la conversión
+      if (parseConversionQuery(window.location.search)) {
+        this.loadCurrencies();
+      } else {
+        this.showWelcomeMessage();
+      }
+    });
+  }
+
+  /**
+   * Carga el idioma del usuario, traduce el HTML estático y configura el
+   * selector de idioma
+   */
+  async setupLanguage() {
+    try {
+      await loadLocale(detectLocale());
+    } catch (error) {
+      console.error("Error cargando las traducciones:", error);
+    }
+
+    document.documentElement.lang = getLocale();
+    document.title = t("app.title");
+    applyTranslations();
+
+    const languageSelect = document.getElementById("language-select");
+    if (!languageSelect) return;
+
+    languageSelect.value = getLocale();
+    languageSelect.addEventListener("change", () => {
+      if (!(languageSelect.value in SUPPORTED_LOCALES)) return;
+
+      // Recargar vuelve a dibujar todos los paneles en el idioma nuevo; la
+      // conversión actual se conserva porque está en la URL
+      saveLocale(languageSelect.value);
+      window.location.reload();
+    });
+  }
+
+  /**
+   * Registra el service worker que guarda la aplicación para uso sin conexión
+   */
+  registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+
+    navigator.serviceWorker.register("./sw.js").catch((error) => {
+      console.warn("No se pudo registrar el service worker:", error);
     });
   }
 
@@ -39,28 +246,37 @@ class CurrencyConverter {
   async loadStaticData() {
     try {
       // Cargar todos los datos estáticos en paralelo para mejor rendimiento
-      const [currencyNamesData, popularCurrenciesData, fallbackCryptosData] =
-        await Promise.all([
-          fetch("./data/currency-names.json").then((response) =>
-            response.json()
-          ),
-          fetch("./data/popular-currencies.json").then((response) =>
-            response.json()
-          ),
-          fetch("./data/fallback-cryptos.json").then((response) =>
-            response.json()
-          ),
-        ]);
+      const [
+        currencyMetadataData,
+        popularCurrenciesData,
+        fallbackCryptosData,
+        currencyAliasesData,
+      ] = await Promise.all([
+        fetch("./data/currencies.json").then((response) => response.json()),
+        fetch("./data/popular-currencies.json").then((response) =>
+          response.json()
+        ),
+        fetch("./data/fallback-cryptos.json").then((response) =>
+          response.json()
+        ),
+        fetch("./data/currency-aliases.json").then((response) =>
+          response.json()
+        ),
+      ]);
 
       // Asignar datos cargados a las propiedades de la instancia
-      this.currencyNames = currencyNamesData;
+      this.currencyMetadata = currencyMetadataData.currencies;
       this.popularCurrencyCodes = popularCurrenciesData.popularCodes;
       this.fallbackCryptoCurrencies = fallbackCryptosData.fallbackCryptos;
+      this.currencyAliases = currencyAliasesData;
     } catch (error) {
       console.error("Error cargando datos estáticos:", error);
       // Activar sistema de respaldo con datos mínimos
       this.initializeFallbackData();
     }
+
+    // Precisión de las monedas fiduciarias para el motor y el formato
+    setFiatMinorUnits(this.currencyMetadata);
   }
 
   /**
@@ -68,12 +284,13 @@ class CurrencyConverter {
    * Garantiza funcionalidad mínima de la aplicación
    */
   initializeFallbackData() {
-    // Conjunto mínimo de monedas para funcionalidad básica
-    this.currencyNames = {
-      USD: "Dólar Estadounidense",
-      EUR: "Euro",
-      GBP: "Libra Esterlina",
-      ARS: "Peso Argentino",
+    // Conjunto mínimo de monedas para funcionalidad básica. Sin nombres:
+    // getCurrencyDisplayName los toma del navegador en el idioma elegido
+    this.currencyMetadata = {
+      USD: { symbol: "$", minorUnits: 2 },
+      EUR: { symbol: "€", minorUnits: 2 },
+      GBP: { symbol: "£", minorUnits: 2 },
+      ARS: { symbol: "$", minorUnits: 2 },
     };
     this.popularCurrencyCodes = ["USD", "EUR", "GBP", "ARS", "BTC", "ETH"];
     this.fallbackCryptoCurrencies = [
@@ -89,21 +306,21 @@ class CurrencyConverter {
       setTimeout(() => {
         Swal.fire({
           icon: "info",
-          title: "¡Bienvenido al Conversor de Monedas! 💱",
+          title: t("welcome.title"),
           html: `
             <div style="text-align: left; line-height: 1.6;">
-              <p><strong>🌍 Funcionalidades principales:</strong></p>
+              <p><strong>${t("welcome.featuresTitle")}</strong></p>
               <ul style="margin: 10px 0; padding-left: 20px;">
-                <li>💰 Conversión de monedas fiduciarias (USD, EUR, ARS, etc.)</li>
-                <li>₿ Conversión de criptomonedas (Bitcoin, Ethereum, etc.)</li>
-                <li>📈 Gráficos de tendencias de precios (30 días)</li>
-                <li>🔍 Autocompletado inteligente</li>
-                <li>📊 Datos en tiempo real</li>
+                <li>${t("welcome.fiat")}</li>
+                <li>${t("welcome.crypto")}</li>
+                <li>${t("welcome.charts")}</li>
+                <li>${t("welcome.autocomplete")}</li>
+                <li>${t("welcome.realtime")}</li>
               </ul>
-              <p><strong>🚀 ¡Comienza convirtiendo tus monedas ahora!</strong></p>
+              <p><strong>${t("welcome.cta")}</strong></p>
             </div>
           `,
-          confirmButtonText: "Continuar",
+          confirmButtonText: t("welcome.continue"),
           confirmButtonColor: "#667eea",
           allowOutsideClick: false,
           allowEscapeKey: false,
@@ -158,10 +375,47 @@ class CurrencyConverter {
       }
     });
 
+    // Vista previa del valor de las expresiones en los campos de monto
+    ["amount", "target-amount"].forEach((inputId) => {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.addEventListener("input", () => this.updateAmountPreview(input));
+      }
+    });
+
     // Configurar sistema de autocompletado para ambos campos de moneda
     this.setupAutocomplete(fromCurrencyInput, "from-currency-list");
     this.setupAutocomplete(toCurrencyInput, "to-currency-list");
 
+    // Intercambiar monedas y montos de origen y destino
+    const swapButton = document.getElementById("swap-currencies");
+    if (swapButton) {
+      swapButton.addEventListener("click", () => this.swapCurrencies());
+    }
+
+    // Fecha opcional para convertir con tasas pasadas
+    const rateDateInput = document.getElementById("rate-date");
+    if (rateDateInput) {
+      rateDateInput.max = toIsoDate(new Date());
+      rateDateInput.addEventListener("change", () =>
+        this.updateRateTypeVisibility()
+      );
+      rateDateInput.addEventListener("keypress", (event) => {
+        if (event.key === "Enter") {
+          this.convertCurrency();
+        }
+      });
+    }
+
+    // Tipo de cambio del peso argentino (oficial, blue, MEP...)
+    this.setupRateTypeSelector();
+
+    // Rango y tipo del gráfico de precios
+    this.setupChartControls();
+
+    // Atrás/adelante del navegador restauran conversiones anteriores
+    window.addEventListener("popstate", () => this.restoreConversionFromUrl());
+
     // Cerrar listas de autocompletado al hacer clic fuera del contenedor
     document.addEventListener("click", (event) => {
       if (!event.target.closest(".autocomplete-container")) {
@@ -175,10 +429,10 @@ class CurrencyConverter {
       // Mostrar mensaje de carga
       this.showCurrencyLoading();
 
-      // Cargar monedas fiduciarias desde ExchangeRate-API
+      // Cargar monedas fiduciarias desde el proveedor configurado
       const fiatCurrencies = await this.loadFiatCurrencies();
 
-      // Cargar las principales criptomonedas desde CoinGecko
+      // Cargar las principales criptomonedas desde el proveedor configurado
       const cryptoCurrencies = await this.loadCryptoCurrencies();
 
       // Combinar todas las monedas
@@ -191,8 +445,10 @@ class CurrencyConverter {
       if (typeof Swal !== "undefined") {
         Swal.fire({
           icon: "success",
-          title: "Monedas cargadas",
-          text: `${this.allCurrencies.length} monedas disponibles para conversión`,
+          title: t("currencies.loadedTitle"),
+          text: t("currencies.loadedText", {
+            count: this.allCurrencies.length,
+          }),
           timer: 2500,
           timerProgressBar: true,
           showConfirmButton: false,
@@ -202,90 +458,108 @@ class CurrencyConverter {
       }
     } catch (error) {
       console.error("Error cargando monedas:", error);
-      this.showError("Error al cargar las monedas disponibles");
+      this.showError(t("currencies.loadError"));
+      return;
+    }
+
+    if (parseConversionQuery(window.location.search)) {
+      this.restoreConversionFromUrl();
     }
   }
 
   async loadFiatCurrencies() {
     try {
-      const response = await fetch(`${this.exchangeRateAPI}USD`);
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error("Error al cargar monedas fiduciarias");
-      }
-
-      const fiatCurrencies = Object.keys(data.rates).map((code) => ({
-        code: code,
-        name: this.currencyNames[code] || code,
-        type: "fiat",
-      }));
-
-      // Agregar USD que no está en rates
-      fiatCurrencies.unshift({
-        code: "USD",
-        name: this.currencyNames["USD"] || "Dólar Estadounidense",
-        type: "fiat",
-      });
+      const listedCurrencies = await this.providers.fiat.listCurrencies();
+
+      // Nombres en el idioma de la interfaz (en español, los del dataset local)
+      const fiatCurrencies = listedCurrencies.map((currency) =>
+        this.withCurrencyMetadata({
+          ...currency,
+          name:
+            getCurrencyDisplayName(currency.code, this.currencyMetadata) ||
+            currency.name ||
+            currency.code,
+        })
+      );
 
       // Ordenar alfabéticamente
       return fiatCurrencies.sort((a, b) => a.code.localeCompare(b.code));
     } catch (error) {
       console.error("Error cargando monedas fiduciarias:", error);
       // Fallback con monedas principales
-      return [
-        { code: "USD", name: "Dólar Estadounidense", type: "fiat" },
-        { code: "EUR", name: "Euro", type: "fiat" },
-        { code: "GBP", name: "Libra Esterlina", type: "fiat" },
-        { code: "JPY", name: "Yen Japonés", type: "fiat" },
-        { code: "ARS", name: "Peso Argentino", type: "fiat" },
-        { code: "BRL", name: "Real Brasileño", type: "fiat" },
-      ];
+      return ["USD", "EUR", "GBP", "JPY", "ARS", "BRL"].map((code) =>
+        this.withCurrencyMetadata({
+          code: code,
+          name: getCurrencyDisplayName(code, this.currencyMetadata) || code,
+          type: "fiat",
+        })
+      );
     }
   }
 
-  async loadCryptoCurrencies() {
-    try {
-      // Cargar las top 100 criptomonedas por capitalización de mercado
-      const response = await fetch(
-        "https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=100&page=1"
-      );
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error("Error al cargar criptomonedas");
-      }
+  /**
+   * Completa una moneda fiduciaria con sus metadatos ISO 4217: símbolo,
+   * bandera, países y unidades menores (como `decimals`)
+   * @param {Object} currency - Moneda con code y type
+   * @returns {Object} Moneda con metadatos, o la misma si no hay datos
+   */
+  withCurrencyMetadata(currency) {
+    const metadata =
+      currency.type !== "crypto" && this.currencyMetadata[currency.code];
+    if (!metadata) {
+      return currency;
+    }
 
-      const cryptoCurrencies = data.map((cryptoData) => {
-        // Guardar mapeo de símbolo a ID para conversiones posteriores
-        this.cryptoIdMap.set(cryptoData.symbol.toUpperCase(), cryptoData.id);
+    return {
+      ...currency,
+      symbol: metadata.symbol,
+      flag: metadata.flag,
+      countries: metadata.countries,
+      decimals: metadata.minorUnits,
+    };
+  }
 
-        return {
-          code: cryptoData.symbol.toUpperCase(),
-          name: cryptoData.name,
-          type: "crypto",
-          id: cryptoData.id,
-        };
-      });
+  async loadCryptoCurrencies() {
+    try {
+      // Cargar las principales criptomonedas por capitalización de mercado
+      const cryptoCurrencies = await this.providers.crypto.listCurrencies();
 
+      this.indexCryptoCurrencies(cryptoCurrencies);
       return cryptoCurrencies;
     } catch (error) {
       console.error("Error cargando criptomonedas:", error);
       // Usar datos de respaldo cargados desde archivo JSON
-      this.fallbackCryptoCurrencies.forEach((cryptoCurrency) => {
-        this.cryptoIdMap.set(cryptoCurrency.code, cryptoCurrency.id);
-      });
-
+      this.indexCryptoCurrencies(this.fallbackCryptoCurrencies);
       return this.fallbackCryptoCurrencies;
     }
   }
 
+  /**
+   * Indexa las criptomonedas por ID del proveedor y detecta tickers repetidos.
+   * El ticker no identifica a una criptomoneda: varias del top 100 lo comparten.
+   * @param {Array<Object>} cryptoCurrencies - Criptomonedas cargadas
+   */
+  indexCryptoCurrencies(cryptoCurrencies) {
+    const seenCodes = new Set();
+    this.cryptoCurrenciesById.clear();
+    this.collidingCryptoCodes.clear();
+
+    cryptoCurrencies.forEach((cryptoCurrency) => {
+      this.cryptoCurrenciesById.set(cryptoCurrency.id, cryptoCurrency);
+
+      if (seenCodes.has(cryptoCurrency.code)) {
+        this.collidingCryptoCodes.add(cryptoCurrency.code);
+      }
+      seenCodes.add(cryptoCurrency.code);
+    });
+  }
+
   showCurrencyLoading() {
     const fromInput = document.getElementById("from-currency");
     const toInput = document.getElementById("to-currency");
 
-    fromInput.placeholder = "Cargando monedas...";
-    toInput.placeholder = "Cargando monedas...";
+    fromInput.placeholder = t("currencies.loading");
+    toInput.placeholder = t("currencies.loading");
     fromInput.disabled = true;
     toInput.disabled = true;
   }
@@ -305,8 +579,8 @@ class CurrencyConverter {
     toInput.disabled = false;
 
     // Actualizar placeholders
-    fromInput.placeholder = "Escribe para buscar moneda...";
-    toInput.placeholder = "Escribe para buscar moneda...";
+    fromInput.placeholder = t("currencies.searchPlaceholder");
+    toInput.placeholder = t("currencies.searchPlaceholder");
 
     // Las monedas ya están disponibles en this.allCurrencies para el autocompletado
   }
@@ -423,23 +697,24 @@ class CurrencyConverter {
       return;
     }
 
-    // Filtrar monedas según la búsqueda - solo si el query tiene al menos 1 carácter
+    // Buscar sin acentos, con tolerancia a errores y ordenado por relevancia
     if (query.length >= 1) {
-      const filtered = this.allCurrencies.filter(
-        (currency) =>
-          currency.code.toLowerCase().includes(query.toLowerCase()) ||
-          currency.name.toLowerCase().includes(query.toLowerCase())
-      );
+      const results = searchCurrencies(query, this.allCurrencies, {
+        aliases: this.currencyAliases,
+        limit: 30,
+      });
 
-      if (filtered.length > 0) {
-        this.renderCurrencyGroups(list, filtered, input);
+      if (results.length > 0) {
+        results.forEach((currency) => {
+          list.appendChild(this.createAutocompleteItem(currency, input, list));
+        });
         list.classList.add("show");
       } else {
         // Solo mostrar "no encontrado" si se buscó algo específico (al menos 2 caracteres)
         if (query.length >= 2) {
           const noResults = document.createElement("div");
           noResults.className = "no-results";
-          noResults.textContent = `No se encontraron monedas que contengan "${query}"`;
+          noResults.textContent = t("currencies.noResults", { query: query });
           list.appendChild(noResults);
           list.classList.add("show");
         } else {
@@ -461,72 +736,57 @@ class CurrencyConverter {
       return;
     }
 
-    const popularCurrencies = this.popularCurrencyCodes
-      .map((code) =>
-        this.allCurrencies.find((currency) => currency.code === code)
-      )
-      .filter((currency) => currency); // Filtrar monedas no encontradas
-
-    if (popularCurrencies.length > 0) {
-      const header = document.createElement("div");
-      header.className = "autocomplete-group-header";
-      header.textContent = "💫 Monedas Populares";
-      list.appendChild(header);
-
-      popularCurrencies.forEach((currency) => {
-        const item = this.createAutocompleteItem(currency, input, list);
-        list.appendChild(item);
+    // Favoritas primero, luego las usadas recientemente y por último las
+    // populares del archivo estático, sin repetir monedas entre grupos
+    const shownKeys = new Set();
+    const takeUnshown = (currencies) =>
+      currencies.filter((currency) => {
+        const key = getCurrencyKey(currency);
+        if (shownKeys.has(key)) return false;
+        shownKeys.add(key);
+        return true;
       });
 
-      list.classList.add("show");
-    } else {
-      list.classList.remove("show");
-    }
-  }
+    const favoriteCurrencies = takeUnshown(
+      this.preferences.favorites.map(
+        (favorite) => this.findCurrency(favorite) || favorite
+      )
+    );
+    const recentCurrencies = takeUnshown(
+      this.preferences.recents.map(
+        (recent) => this.findCurrency(recent) || recent
+      )
+    );
 
-  renderCurrencyGroups(list, currencies, input) {
-    const fiatCurrencies = currencies.filter((c) => c.type === "fiat");
-    const cryptoCurrencies = currencies.filter((c) => c.type === "crypto");
+    // Para tickers repetidos se toma la primera coincidencia, que es la de
+    // mayor capitalización porque el listado viene ordenado
+    const popularCurrencies = takeUnshown(
+      this.popularCurrencyCodes
+        .map((code) =>
+          this.allCurrencies.find((currency) => currency.code === code)
+        )
+        .filter((currency) => currency) // Filtrar monedas no encontradas
+    );
 
-    let totalShown = 0;
-    const maxTotal = 30; // Máximo total de resultados
+    [
+      [t("currencies.favorites"), favoriteCurrencies],
+      [t("currencies.recents"), recentCurrencies],
+      [t("currencies.popular"), popularCurrencies],
+    ].forEach(([title, currencies]) => {
+      if (currencies.length === 0) return;
 
-    // Agregar monedas fiduciarias
-    if (fiatCurrencies.length > 0 && totalShown < maxTotal) {
-      const fiatHeader = document.createElement("div");
-      fiatHeader.className = "autocomplete-group-header";
-      fiatHeader.textContent = "💰 Monedas Fiduciarias";
-      list.appendChild(fiatHeader);
+      const header = document.createElement("div");
+      header.className = "autocomplete-group-header";
+      header.textContent = title;
+      list.appendChild(header);
 
-      const fiatToShow = Math.min(
-        fiatCurrencies.length,
-        maxTotal - totalShown,
-        15
-      );
-      fiatCurrencies.slice(0, fiatToShow).forEach((currency) => {
+      currencies.forEach((currency) => {
         const item = this.createAutocompleteItem(currency, input, list);
         list.appendChild(item);
-        totalShown++;
       });
-    }
-
-    // Agregar criptomonedas
-    if (cryptoCurrencies.length > 0 && totalShown < maxTotal) {
-      const cryptoHeader = document.createElement("div");
-      cryptoHeader.className = "autocomplete-group-header";
-      cryptoHeader.textContent = "₿ Criptomonedas";
-      list.appendChild(cryptoHeader);
+    });
 
-      const cryptoToShow = Math.min(
-        cryptoCurrencies.length,
-        maxTotal - totalShown
-      );
-      cryptoCurrencies.slice(0, cryptoToShow).forEach((currency) => {
-        const item = this.createAutocompleteItem(currency, input, list);
-        list.appendChild(item);
-        totalShown++;
-      });
-    }
+    list.classList.toggle("show", shownKeys.size > 0);
   }
 
   createAutocompleteItem(currency, input, list) {
@@ -536,12 +796,42 @@ class CurrencyConverter {
     item.dataset.type = currency.type;
     if (currency.id) item.dataset.id = currency.id;
 
+    // Distinguir criptomonedas que comparten ticker por su ranking de capitalización
+    const rankBadge =
+      this.collidingCryptoCodes.has(currency.code) && currency.rank
+        ? `<span class="currency-rank">#${currency.rank}</span>`
+        : "";
+
+    const isFavorite = this.preferences.isFavorite(currency);
+    const flag = currency.flag
+      ? `<span class="currency-flag" aria-hidden="true">${currency.flag}</span>`
+      : "";
+
     item.innerHTML = `
+      ${flag}
       <span class="currency-code">${currency.code}</span>
       <span class="currency-name">${currency.name}</span>
+      <button type="button" class="favorite-toggle${
+        isFavorite ? " is-favorite" : ""
+      }" title="${
+      isFavorite ? t("currencies.removeFavorite") : t("currencies.addFavorite")
+    }">${isFavorite ? "★" : "☆"}</button>
+      ${rankBadge}
     `;
 
-    item.addEventListener("click", () => {
+    item.addEventListener("click", (event) => {
+      // La estrella marca la favorita sin seleccionar la moneda
+      const favoriteToggle = event.target.closest(".favorite-toggle");
+      if (favoriteToggle) {
+        const nowFavorite = this.preferences.toggleFavorite(currency);
+        favoriteToggle.classList.toggle("is-favorite", nowFavorite);
+        favoriteToggle.textContent = nowFavorite ? "★" : "☆";
+        favoriteToggle.title = nowFavorite
+          ? t("currencies.removeFavorite")
+          : t("currencies.addFavorite");
+        return;
+      }
+
       this.selectCurrency(item, input, list);
     });
 
@@ -549,23 +839,101 @@ class CurrencyConverter {
   }
 
   selectCurrency(item, input, list) {
-    const code = item.dataset.code;
-    const name = item.querySelector(".currency-name").textContent;
-
-    input.value = `${code} - ${name}`;
-    input.dataset.selectedCode = code;
-    input.dataset.selectedType = item.dataset.type;
-    if (item.dataset.id) input.dataset.selectedId = item.dataset.id;
+    this.setSelectedCurrency(input, {
+      code: item.dataset.code,
+      name: item.querySelector(".currency-name").textContent,
+      type: item.dataset.type,
+      id: item.dataset.id,
+    });
 
     list.classList.remove("show");
   }
 
+  /**
+   * Selecciona una moneda en un campo de autocompletado
+   * @param {HTMLInputElement} input - Campo de moneda
+   * @param {Object} currency - Moneda con code, name, type e id (criptomonedas)
+   */
+  setSelectedCurrency(input, currency) {
+    input.value = `${currency.code} - ${currency.name}`;
+    input.dataset.selectedCode = currency.code;
+    input.dataset.selectedType = currency.type;
+    if (currency.id) {
+      input.dataset.selectedId = currency.id;
+    } else {
+      delete input.dataset.selectedId;
+    }
+
+    // Avisar a otros componentes (p. ej. la tabla de destinos) del cambio
+    input.dispatchEvent(new CustomEvent("currencyselected"));
+  }
+
   clearSelection(input) {
     delete input.dataset.selectedCode;
     delete input.dataset.selectedType;
     delete input.dataset.selectedId;
   }
 
+  /**
+   * Intercambia las monedas de origen y destino (texto y selección) junto
+   * con sus montos. Un campo a medio escribir pasa al otro lado tal cual,
+   * sin selección.
+   */
+  swapCurrencies() {
+    const fromCurrencyInput = document.getElementById("from-currency");
+    const toCurrencyInput = document.getElementById("to-currency");
+
+    const fromState = this.getSelectionState(fromCurrencyInput);
+    this.applySelectionState(
+      fromCurrencyInput,
+      this.getSelectionState(toCurrencyInput)
+    );
+    this.applySelectionState(toCurrencyInput, fromState);
+
+    this.hideAllAutocompleteLists();
+    this.liveConversion.swapAmounts();
+
+    // Avisar del cambio como si se hubieran elegido en el autocompletado
+    [fromCurrencyInput, toCurrencyInput].forEach((input) => {
+      if (input.dataset.selectedCode) {
+        input.dispatchEvent(new CustomEvent("currencyselected"));
+      }
+    });
+    this.updateRateTypeVisibility();
+  }
+
+  /**
+   * Texto y selección de un campo de moneda
+   * @param {HTMLInputElement} input - Campo de moneda
+   * @returns {{value: string, code?: string, type?: string, id?: string}}
+   */
+  getSelectionState(input) {
+    return {
+      value: input.value,
+      code: input.dataset.selectedCode,
+      type: input.dataset.selectedType,
+      id: input.dataset.selectedId,
+    };
+  }
+
+  /**
+   * Restaura en un campo de moneda el estado de getSelectionState
+   * @param {HTMLInputElement} input - Campo de moneda
+   * @param {Object} state - Texto y selección
+   */
+  applySelectionState(input, state) {
+    input.value = state.value;
+    this.clearSelection(input);
+
+    if (state.code) {
+      input.dataset.selectedCode = state.code;
+      input.dataset.selectedType = state.type || "fiat";
+      if (state.id) {
+        input.dataset.selectedId = state.id;
+      }
+    }
+  }
+
   updateSelection(items, selectedIndex) {
     items.forEach((item, index) => {
       item.classList.toggle("active", index === selectedIndex);
@@ -576,6 +944,106 @@ class CurrencyConverter {
     }
   }
 
+  /**
+   * Busca una moneda en el listado cargado (con nombre y ranking)
+   * @param {Object} currency - Moneda con code, type e id (criptomonedas)
+   * @returns {Object|undefined} Moneda del listado o undefined si no está
+   */
+  findCurrency(currency) {
+    const key = getCurrencyKey(currency);
+    return this.allCurrencies.find(
+      (candidate) => getCurrencyKey(candidate) === key
+    );
+  }
+
+  /**
+   * Obtiene la moneda seleccionada en un campo de autocompletado
+   * @param {HTMLInputElement} input - Campo de moneda
+   * @returns {Object|null} Moneda con code, type e id (criptomonedas) o null;
+   *   si está en el listado, con sus metadatos (nombre, símbolo, decimales)
+   */
+  getSelectedCurrency(input) {
+    if (!input.dataset.selectedCode) {
+      return null;
+    }
+
+    const selected = {
+      code: input.dataset.selectedCode,
+      type: input.dataset.selectedType || "fiat",
+      id: input.dataset.selectedId,
+    };
+    return this.findCurrency(selected) || selected;
+  }
+
+  /**
+   * Configura el selector de tipo de cambio para pares con ARS: recuerda la
+   * última elección y solo se muestra si alguna de las monedas es ARS
+   */
+  setupRateTypeSelector() {
+    const rateTypeSelect = document.getElementById("rate-type");
+    if (!rateTypeSelect || !this.providers.arsRates) return;
+
+    const savedRateType = loadJSON(ARS_RATE_TYPE_KEY, "oficial");
+    if (rateTypeSelect.querySelector(`option[value="${savedRateType}"]`)) {
+      rateTypeSelect.value = savedRateType;
+    }
+    rateTypeSelect.addEventListener("change", () => {
+      saveJSON(ARS_RATE_TYPE_KEY, rateTypeSelect.value);
+    });
+
+    ["from-currency", "to-currency"].forEach((inputId) => {
+      const input = document.getElementById(inputId);
+      input.addEventListener("currencyselected", () =>
+        this.updateRateTypeVisibility()
+      );
+      input.addEventListener("input", () => this.updateRateTypeVisibility());
+    });
+  }
+
+  /**
+   * Muestra el selector de tipo de cambio solo si el par incluye ARS y se
+   * convierte con las tasas actuales
+   */
+  updateRateTypeVisibility() {
+    const rateTypeField = document.getElementById("rate-type-field");
+    if (!rateTypeField) return;
+
+    rateTypeField.hidden = !this.getConversionOptions().rateType;
+  }
+
+  /**
+   * Opciones de conversión del formulario: la fecha elegida o, para las
+   * tasas actuales, el tipo de cambio del peso si corresponde
+   * @returns {{date?: string, rateType?: string}} Opciones para ConversionEngine.convert
+   */
+  getConversionOptions() {
+    const rateDateInput = document.getElementById("rate-date");
+    if (rateDateInput && rateDateInput.value) {
+      return { date: rateDateInput.value };
+    }
+    return this.getRateTypeOptions();
+  }
+
+  /**
+   * Opciones de conversión con el tipo de cambio elegido, si el par
+   * seleccionado incluye ARS y hay proveedor de tipos de cambio
+   * @returns {{rateType?: string}} Opciones para ConversionEngine.convert
+   */
+  getRateTypeOptions() {
+    const rateTypeSelect = document.getElementById("rate-type");
+    if (!rateTypeSelect || !this.providers.arsRates) return {};
+
+    const involvesArs = ["from-currency", "to-currency"].some((inputId) => {
+      const input = document.getElementById(inputId);
+      return (
+        input.dataset.selectedCode === "ARS" &&
+        (input.dataset.selectedType || "fiat") === "fiat"
+      );
+    });
+
+    return involvesArs ? { rateType: rateTypeSelect.value } : {};
+  }
+
   hideAllAutocompleteLists() {
     document.querySelectorAll(".autocomplete-list").forEach((list) => {
       list.classList.remove("show");
@@ -589,186 +1057,223 @@ class CurrencyConverter {
   async convertCurrency() {
     const fromCurrencyInput = document.getElementById("from-currency");
     const toCurrencyInput = document.getElementById("to-currency");
-    const amount = parseFloat(document.getElementById("amount").value);
+    const amountInput = document.getElementById("amount");
+    // El monto se evalúa como Decimal para no perder precisión en coma flotante
+    const amount = this.readAmount(amountInput);
 
-    // Obtener códigos de las monedas seleccionadas desde los atributos data
-    const fromCurrencyCode = fromCurrencyInput.dataset.selectedCode;
-    const toCurrencyCode = toCurrencyInput.dataset.selectedCode;
+    // Obtener las monedas seleccionadas desde los atributos data
+    const fromCurrency = this.getSelectedCurrency(fromCurrencyInput);
+    const toCurrency = this.getSelectedCurrency(toCurrencyInput);
 
     // Validaciones de entrada
-    if (!fromCurrencyCode || !toCurrencyCode) {
-      this.showError("Por favor selecciona ambas monedas de la lista");
-      return;
-    }
-
-    if (!amount || amount <= 0) {
-      this.showError("Por favor ingresa un monto válido");
+    if (!fromCurrency || !toCurrency) {
+      this.showError(t("conversion.selectBoth"));
       return;
     }
 
-    // Prevenir conversión de una moneda a sí misma
-    if (fromCurrencyCode === toCurrencyCode) {
-      this.showError(
-        "⚠️ No puedes convertir una moneda a sí misma. Por favor selecciona monedas diferentes."
-      );
+    // Los errores de la expresión se señalan junto al campo, no en un aviso
+    if (amountInput.value.trim() && !amount) {
+      this.updateAmountPreview(amountInput);
+      amountInput.focus();
       return;
     }
 
     try {
       this.showLoadingIndicator();
 
-      const fromCurrencyType = fromCurrencyInput.dataset.selectedType;
-      const toCurrencyType = toCurrencyInput.dataset.selectedType;
-
-      let exchangeRate;
-
-      // Determinar tipo de conversión y obtener tasa de cambio apropiada
-      if (fromCurrencyType === "fiat" && toCurrencyType === "fiat") {
-        exchangeRate = await this.getFiatToFiatExchangeRate(
-          fromCurrencyCode,
-          toCurrencyCode
-        );
-      } else if (fromCurrencyType === "crypto" && toCurrencyType === "crypto") {
-        exchangeRate = await this.getCryptoToCryptoExchangeRate(
-          fromCurrencyCode,
-          toCurrencyCode
-        );
-      } else if (fromCurrencyType === "fiat" && toCurrencyType === "crypto") {
-        exchangeRate = await this.getFiatToCryptoExchangeRate(
-          fromCurrencyCode,
-          toCurrencyCode
-        );
-      } else {
-        exchangeRate = await this.getCryptoToFiatExchangeRate(
-          fromCurrencyCode,
-          toCurrencyCode
-        );
-      }
-
-      const convertedAmount = amount * exchangeRate;
-      this.displayConversionResult(
+      const conversion = await this.engine.convert(
         amount,
-        fromCurrencyCode,
-        convertedAmount,
-        toCurrencyCode,
-        exchangeRate
+        fromCurrency,
+        toCurrency,
+        this.getConversionOptions()
+      );
+      this.displayConversionResult(conversion);
+      this.historyPanel.record(conversion);
+      this.preferences.addRecent(
+        this.findCurrency(fromCurrency) || fromCurrency
       );
+      this.preferences.addRecent(this.findCurrency(toCurrency) || toCurrency);
+      this.updateConversionUrl(conversion);
     } catch (error) {
       // Cerrar indicador de carga antes de mostrar error
       if (typeof Swal !== "undefined") {
         Swal.close();
       }
+
+      // Los errores de validación del motor se traducen por su código
+      if (error instanceof ConversionError) {
+        this.showError(t(`errors.${error.code}`));
+        return;
+      }
+
       console.error("Error en conversión:", error);
-      this.showError("Error al obtener la cotización. Intenta nuevamente.");
+      this.showError(t("conversion.failed"));
     }
   }
 
   /**
-   * Obtiene la tasa de cambio entre dos monedas fiduciarias
-   * @param {string} fromCurrency - Código de moneda origen
-   * @param {string} toCurrency - Código de moneda destino
-   * @returns {Promise<number>} Tasa de cambio
+   * Lee el monto de un campo. Además de números admite operaciones,
+   * paréntesis y abreviaturas ("850*12", "1,5k") con los separadores del
+   * idioma elegido.
+   * @param {HTMLInputElement} input - Campo de monto
+   * @returns {Decimal|null} Monto evaluado o null si está vacío o no es válido
    */
-  async getFiatToFiatExchangeRate(fromCurrency, toCurrency) {
-    const response = await fetch(`${this.exchangeRateAPI}${fromCurrency}`);
-    const data = await response.json();
+  readAmount(input) {
+    if (!input.value.trim()) return null;
 
-    if (!response.ok) {
-      throw new Error("Error al obtener cotización de monedas");
+    try {
+      return evaluateAmountExpression(input.value, getIntlLocale());
+    } catch (error) {
+      if (error instanceof AmountExpressionError) return null;
+      throw error;
     }
-
-    return data.rates[toCurrency];
   }
 
   /**
-   * Obtiene la tasa de cambio entre dos criptomonedas
-   * @param {string} fromCrypto - Código de criptomoneda origen
-   * @param {string} toCrypto - Código de criptomoneda destino
-   * @returns {Promise<number>} Tasa de cambio
+   * Muestra debajo del campo de monto el valor de la expresión escrita
+   * ("= 10.500") o el error que impide evaluarla
+   * @param {HTMLInputElement} input - Campo de monto
    */
-  async getCryptoToCryptoExchangeRate(fromCrypto, toCrypto) {
-    const fromCurrencyInput = document.getElementById("from-currency");
-    const toCurrencyInput = document.getElementById("to-currency");
-
-    const fromCryptoId =
-      fromCurrencyInput.dataset.selectedId || this.getCryptoId(fromCrypto);
-    const toCryptoId =
-      toCurrencyInput.dataset.selectedId || this.getCryptoId(toCrypto);
-
-    const response = await fetch(
-      `${this.coinGeckoAPI}?ids=${fromCryptoId},${toCryptoId}&vs_currencies=usd`
-    );
-    const data = await response.json();
-
-    if (!response.ok) {
-      throw new Error("Error al obtener cotización de criptomonedas");
+  updateAmountPreview(input) {
+    const preview = document.getElementById(`${input.id}-preview`);
+    if (!preview) return;
+
+    const locale = getIntlLocale();
+    const text = input.value.trim();
+    let message = "";
+    let invalid = false;
+
+    if (text) {
+      try {
+        const value = evaluateAmountExpression(text, locale);
+        // Un número escrito tal cual no necesita vista previa
+        if (!isPlainAmount(text, value, locale)) {
+          message = `= ${formatDecimal(value, {
+            locale: locale,
+            maximumFractionDigits: 8,
+          })}`;
+        }
+      } catch (error) {
+        if (!(error instanceof AmountExpressionError)) throw error;
+        message = t(`amountExpression.errors.${error.code}`, {
+          position: error.position,
+          text: error.text,
+        });
+        invalid = true;
+      }
     }
 
-    const fromPriceInUsd = data[fromCryptoId].usd;
-    const toPriceInUsd = data[toCryptoId].usd;
-
-    return fromPriceInUsd / toPriceInUsd;
+    preview.textContent = message;
+    preview.classList.toggle("error", invalid);
+    input.classList.toggle("invalid", invalid);
+    input.setAttribute("aria-invalid", String(invalid));
   }
 
   /**
-   * Obtiene la tasa de cambio de moneda fiduciaria a criptomoneda
-   * @param {string} fromFiat - Código de moneda fiduciaria
-   * @param {string} toCrypto - Código de criptomoneda
-   * @returns {Promise<number>} Tasa de cambio
+   * Refleja la conversión en la URL para poder compartirla. Si la URL ya la
+   * describe (enlace abierto o navegación con atrás/adelante) no se agrega
+   * una nueva entrada al historial.
+   * @param {Object} conversion - Resultado de ConversionEngine.convert
    */
-  async getFiatToCryptoExchangeRate(fromFiat, toCrypto) {
-    const toCurrencyInput = document.getElementById("to-currency");
-    const cryptoId =
-      toCurrencyInput.dataset.selectedId || this.getCryptoId(toCrypto);
-
-    // Obtener precio de la criptomoneda en USD
-    const cryptoResponse = await fetch(
-      `${this.coinGeckoAPI}?ids=${cryptoId}&vs_currencies=usd`
-    );
-    const cryptoData = await cryptoResponse.json();
+  updateConversionUrl(conversion) {
+    const query = buildConversionQuery({
+      from: conversion.from,
+      to: conversion.to,
+      amount: conversion.amount.toString(),
+      date: conversion.date,
+      rateType: conversion.rateType ? conversion.rateType.id : null,
+    });
 
-    if (fromFiat === "USD") {
-      return 1 / cryptoData[cryptoId].usd;
+    if (query !== window.location.search) {
+      window.history.pushState(null, "", query);
     }
-
-    // Obtener tasa de cambio de la moneda fiduciaria a USD
-    const fiatResponse = await fetch(`${this.exchangeRateAPI}${fromFiat}`);
-    const fiatData = await fiatResponse.json();
-
-    const usdExchangeRate = fiatData.rates.USD;
-    const cryptoPriceInUsd = cryptoData[cryptoId].usd;
-
-    return usdExchangeRate / cryptoPriceInUsd;
   }
 
   /**
-   * Obtiene la tasa de cambio de criptomoneda a moneda fiduciaria
-   * @param {string} fromCrypto - Código de criptomoneda
-   * @param {string} toFiat - Código de moneda fiduciaria
-   * @returns {Promise<number>} Tasa de cambio
+   * Completa el formulario con la conversión descrita en la URL
+   * (`?from=ARS&to=bitcoin&amount=15000`) y la ejecuta si está completa
    */
-  async getCryptoToFiatExchangeRate(fromCrypto, toFiat) {
-    const fromCurrencyInput = document.getElementById("from-currency");
-    const cryptoId =
-      fromCurrencyInput.dataset.selectedId || this.getCryptoId(fromCrypto);
+  restoreConversionFromUrl() {
+    const params = parseConversionQuery(window.location.search);
+    if (!params) {
+      this.resetConversion();
+      return;
+    }
 
-    // Obtener precio de la criptomoneda en USD
-    const cryptoResponse = await fetch(
-      `${this.coinGeckoAPI}?ids=${cryptoId}&vs_currencies=usd`
-    );
-    const cryptoData = await cryptoResponse.json();
+    const fromCurrency = resolveCurrencyParam(params.from, this.allCurrencies);
+    const toCurrency = resolveCurrencyParam(params.to, this.allCurrencies);
+
+    if (fromCurrency) {
+      this.setSelectedCurrency(
+        document.getElementById("from-currency"),
+        fromCurrency
+      );
+    }
+    if (toCurrency) {
+      this.setSelectedCurrency(
+        document.getElementById("to-currency"),
+        toCurrency
+      );
+    }
+    if (params.amount) {
+      const amountInput = document.getElementById("amount");
+      // El enlace usa "." decimal; el campo, el separador del idioma
+      amountInput.value = /^\d+(\.\d+)?$/.test(params.amount)
+        ? formatAmountInput(params.amount, getIntlLocale())
+        : params.amount;
+      amountInput.dispatchEvent(new Event("input"));
+    }
+    document.getElementById("rate-date").value = params.date || "";
+    // El tipo de cambio del enlace se aplica sin cambiar la preferencia
+    // guardada; los enlaces sin él usan la del usuario
+    const rateTypeSelect = document.getElementById("rate-type");
+    if (
+      params.rateType &&
+      rateTypeSelect &&
+      [...rateTypeSelect.options].some(
+        (option) => option.value === params.rateType
+      )
+    ) {
+      rateTypeSelect.value = params.rateType;
+    }
+    this.updateRateTypeVisibility();
 
-    const cryptoPriceInUsd = cryptoData[cryptoId].usd;
+    if ((params.from && !fromCurrency) || (params.to && !toCurrency)) {
+      this.showError(t("conversion.invalidLink"));
+      return;
+    }
 
-    if (toFiat === "USD") {
-      return cryptoPriceInUsd;
+    if (fromCurrency && toCurrency && params.amount) {
+      this.convertCurrency();
     }
+  }
 
-    // Obtener tasa de cambio de USD a la moneda fiduciaria destino
-    const fiatResponse = await fetch(`${this.exchangeRateAPI}USD`);
-    const fiatData = await fiatResponse.json();
+  /**
+   * Vacía el formulario y el resultado (entrada del historial sin conversión)
+   */
+  resetConversion() {
+    ["from-currency", "to-currency"].forEach((inputId) => {
+      const input = document.getElementById(inputId);
+      input.value = "";
+      this.clearSelection(input);
+    });
+    const amountInput = document.getElementById("amount");
+    amountInput.value = "";
+    amountInput.dispatchEvent(new Event("input"));
+    const targetAmountInput = document.getElementById("target-amount");
+    targetAmountInput.value = "";
+    this.updateAmountPreview(targetAmountInput);
+    document.getElementById("rate-date").value = "";
+    this.updateRateTypeVisibility();
 
-    return cryptoPriceInUsd * fiatData.rates[toFiat];
+    const resultDiv = document.getElementById("result");
+    resultDiv.className = "result-section";
+    resultDiv.innerHTML = `
+            <div class="default-message">
+                ${t("form.defaultMessage")}
+            </div>
+        `;
+    document.getElementById("chart-container").style.display = "none";
   }
 
   /**
@@ -781,8 +1286,8 @@ class CurrencyConverter {
     // Usar SweetAlert2 si está disponible para una mejor experiencia
     if (typeof Swal !== "undefined") {
       Swal.fire({
-        title: "Obteniendo cotización...",
-        text: "Por favor espera un momento",
+        title: t("conversion.loadingTitle"),
+        text: t("conversion.loadingText"),
         allowOutsideClick: false,
         allowEscapeKey: false,
         showConfirmButton: false,
@@ -793,27 +1298,18 @@ class CurrencyConverter {
     } else {
       // Sistema de respaldo si SweetAlert2 no está disponible
       const resultDiv = document.getElementById("result");
-      resultDiv.innerHTML =
-        '<div class="loading-spinner"></div>Obteniendo cotización...';
+      resultDiv.innerHTML = `<div class="loading-spinner"></div>${t(
+        "conversion.loadingTitle"
+      )}`;
       resultDiv.className = "result-section loading";
     }
   }
 
   /**
    * Muestra el resultado de la conversión con información detallada
-   * @param {number} originalAmount - Cantidad original
-   * @param {string} fromCurrency - Moneda origen
-   * @param {number} convertedAmount - Cantidad convertida
-   * @param {string} toCurrency - Moneda destino
-   * @param {number} exchangeRate - Tasa de cambio utilizada
+   * @param {Object} conversion - Resultado de ConversionEngine.convert
    */
-  displayConversionResult(
-    originalAmount,
-    fromCurrency,
-    convertedAmount,
-    toCurrency,
-    exchangeRate
-  ) {
+  displayConversionResult(conversion) {
     // Cerrar indicador de carga
     if (typeof Swal !== "undefined") {
       Swal.close();
@@ -822,24 +1318,31 @@ class CurrencyConverter {
     const resultDiv = document.getElementById("result");
     const convertButton = document.getElementById("convert-btn");
 
-    const formattedOriginalAmount = this.formatNumber(originalAmount);
-    const formattedConvertedAmount = this.formatNumber(convertedAmount);
-    const formattedExchangeRate = this.formatNumber(exchangeRate, 6);
+    const fromCode = conversion.from.code;
+    const toCode = conversion.to.code;
+    const formattedOriginalAmount = this.formatNumber(
+      conversion.amount,
+      conversion.from
+    );
+    const formattedConvertedAmount = this.formatNumber(
+      conversion.result,
+      conversion.to
+    );
+    const formattedExchangeRate = formatRate(conversion.rate, getIntlLocale());
 
     // Determinar las fuentes de datos utilizadas
-    const dataSources = this.getDataSourcesDescription(
-      fromCurrency,
-      toCurrency
-    );
+    const dataSources = this.getDataSourcesDescription(conversion.sources);
 
     resultDiv.innerHTML = `
             <div class="conversion-result">
                 <div class="main-result">
-                    <strong>${formattedOriginalAmount} ${fromCurrency} = ${formattedConvertedAmount} ${toCurrency}</strong>
+                    <strong>${formattedOriginalAmount} ${fromCode} = ${formattedConvertedAmount} ${toCode}</strong>
                 </div>
                 <div class="exchange-rate">
-                    1 ${fromCurrency} = ${formattedExchangeRate} ${toCurrency}
+                    1 ${fromCode} = ${formattedExchangeRate} ${toCode}
                 </div>
+                ${this.createRateTypeInfo(conversion.rateType)}
+                ${this.createRatesAsOfBadge(conversion)}
                 <div class="data-sources">
                     <small>📊 ${dataSources}</small>
                 </div>
@@ -848,12 +1351,13 @@ class CurrencyConverter {
 
     resultDiv.className = "result-section show-result";
     convertButton.disabled = false;
+    this.liveConversion.showConversion(conversion);
 
     // Mostrar notificación de éxito discreta
     if (typeof Swal !== "undefined") {
       Swal.fire({
         icon: "success",
-        title: "Conversión realizada con éxito",
+        title: t("conversion.success"),
         timer: 3000,
         timerProgressBar: true,
         showConfirmButton: false,
@@ -866,7 +1370,7 @@ class CurrencyConverter {
     }
 
     // Mostrar gráfico de tendencias de precios
-    this.displayPriceChart(fromCurrency, toCurrency);
+    this.displayPriceChart(conversion.from, conversion.to);
 
     // Scroll suave hacia el resultado para mejor UX
     setTimeout(() => {
@@ -879,42 +1383,116 @@ class CurrencyConverter {
   }
 
   /**
-   * Genera descripción de las fuentes de datos utilizadas en la conversión
-   * @param {string} fromCurrency - Moneda origen
-   * @param {string} toCurrency - Moneda destino
-   * @returns {string} Descripción formateada de las fuentes
+   * Genera la línea con el tipo de cambio del peso usado y su brecha
+   * respecto del oficial
+   * @param {Object|null} rateType - Tipo de cambio de la conversión (id, gap)
+   * @returns {string} HTML de la línea o vacío si no se eligió tipo de cambio
    */
-  getDataSourcesDescription(fromCurrency, toCurrency) {
-    // Obtener tipos de moneda desde los elementos DOM
-    const fromCurrencyInput = document.getElementById("from-currency");
-    const toCurrencyInput = document.getElementById("to-currency");
+  createRateTypeInfo(rateType) {
+    if (!rateType) return "";
 
-    const fromCurrencyType = fromCurrencyInput.dataset.selectedType || "fiat";
-    const toCurrencyType = toCurrencyInput.dataset.selectedType || "fiat";
+    const parts = [
+      t("conversion.rateType", { type: t(`rateTypes.${rateType.id}`) }),
+    ];
+    if (rateType.id !== "oficial" && rateType.gap !== null) {
+      const gap = rateType.gap.toLocaleString(getIntlLocale(), {
+        maximumFractionDigits: 1,
+        signDisplay: "exceptZero",
+      });
+      parts.push(t("conversion.rateGap", { gap: `${gap} %` }));
+    }
 
-    let apiSources = [];
+    return `<div class="rate-type-info">${parts.join(" · ")}</div>`;
+  }
 
-    // Determinar qué APIs fueron utilizadas
-    if (fromCurrencyType === "crypto" || toCurrencyType === "crypto") {
-      apiSources.push(
-        '<a href="https://www.coingecko.com" target="_blank" rel="noopener">CoinGecko API</a>'
-      );
+  /**
+   * Genera la insignia con la fecha de las tasas usadas
+   * @param {Object} quote - Cotización o conversión con timestamp, offline y,
+   *   si se pidió una fecha pasada, date
+   * @returns {string} HTML de la insignia
+   */
+  createRatesAsOfBadge(quote) {
+    if (quote.date) {
+      return this.createHistoricalRatesBadge(quote);
     }
 
-    if (fromCurrencyType === "fiat" || toCurrencyType === "fiat") {
-      apiSources.push(
-        '<a href="https://www.exchangerate-api.com" target="_blank" rel="noopener">ExchangeRate-API</a>'
-      );
+    const ratesDate = new Date(quote.timestamp).toLocaleString(
+      getIntlLocale(),
+      {
+        dateStyle: "short",
+        timeStyle: "short",
+      }
+    );
+
+    if (quote.offline) {
+      return `<div class="rates-as-of offline">${t(
+        "conversion.offlineRatesAsOf",
+        { date: ratesDate }
+      )}</div>`;
     }
+    return `<div class="rates-as-of">${t("conversion.ratesAsOf", {
+      date: ratesDate,
+    })}</div>`;
+  }
+
+  /**
+   * Genera la insignia de una conversión con tasas pasadas: la fecha de las
+   * tasas y, si el proveedor no publicó ese día, la fecha pedida
+   * @param {Object} conversion - Conversión con timestamp y date
+   * @returns {string} HTML de la insignia
+   */
+  createHistoricalRatesBadge(conversion) {
+    // Las fechas de las tasas históricas son días UTC, sin hora
+    const formatDay = (timestamp) =>
+      new Date(timestamp).toLocaleDateString(getIntlLocale(), {
+        dateStyle: "long",
+        timeZone: "UTC",
+      });
+    const ratesDay = toIsoDate(new Date(conversion.timestamp));
+
+    let label = t("conversion.historicalRatesOf", {
+      date: formatDay(conversion.timestamp),
+    });
+    if (ratesDay !== conversion.date) {
+      label += ` ${t("conversion.requestedDate", {
+        date: formatDay(Date.parse(conversion.date)),
+      })}`;
+    }
+
+    return `<div class="rates-as-of historical">${label}</div>`;
+  }
+
+  /**
+   * Genera descripción de las fuentes de datos utilizadas en la conversión
+   * @param {Array<Object>} sources - Proveedores usados (name, url)
+   * @returns {string} Descripción formateada de las fuentes
+   */
+  getDataSourcesDescription(sources) {
+    const apiSources = sources.map((source) => this.formatProviderLink(source));
 
     // Formatear descripción según el número de fuentes
     if (apiSources.length === 1) {
-      return `Datos proporcionados por ${apiSources[0]}`;
+      return t("conversion.sourceOne", { source: apiSources[0] });
     } else if (apiSources.length === 2) {
-      return `Datos proporcionados por ${apiSources[0]} y ${apiSources[1]}`;
+      return t("conversion.sourceTwo", {
+        first: apiSources[0],
+        second: apiSources[1],
+      });
     } else {
-      return "Datos de fuentes financieras confiables";
+      return t("conversion.sourceGeneric");
+    }
+  }
+
+  /**
+   * Genera el enlace a la fuente de un proveedor
+   * @param {Object} provider - Proveedor de tasas o fuente (name, url)
+   * @returns {string} Enlace HTML o el nombre si el proveedor no tiene URL
+   */
+  formatProviderLink(provider) {
+    if (!provider.url) {
+      return provider.name;
     }
+    return `<a href="${provider.url}" target="_blank" rel="noopener">${provider.name}</a>`;
   }
 
   showError(message) {
@@ -925,9 +1503,9 @@ class CurrencyConverter {
     if (typeof Swal !== "undefined") {
       Swal.fire({
         icon: "error",
-        title: "Error",
+        title: t("errors.title"),
         text: message,
-        confirmButtonText: "Entendido",
+        confirmButtonText: t("errors.confirm"),
         confirmButtonColor: "#667eea",
         customClass: {
           popup: "swal-custom",
@@ -941,30 +1519,260 @@ class CurrencyConverter {
     }
   }
 
-  formatNumber(num, decimals = 2) {
-    if (num >= 1) {
-      return new Intl.NumberFormat("es-ES", {
-        minimumFractionDigits: decimals,
-        maximumFractionDigits: decimals,
-      }).format(num);
+  /**
+   * Formatea un monto con la precisión de su moneda (unidades menores ISO
+   * 4217 o decimales nativos de la criptomoneda) sin pasar por coma flotante,
+   * precedido por el símbolo de las monedas fiduciarias ("$1.234,56")
+   * @param {Decimal|number|string} value - Monto a formatear
+   * @param {Object} currency - Moneda del monto
+   * @returns {string} Monto formateado
+   */
+  formatNumber(value, currency) {
+    return formatCurrencyAmount(
+      value,
+      this.withCurrencyMetadata(currency),
+      getIntlLocale()
+    );
+  }
+
+  /**
+   * Conecta los botones de rango y tipo de gráfico; cada cambio vuelve a
+   * dibujar el par mostrado
+   */
+  setupChartControls() {
+    const rangeButtons = document.getElementById("chart-range-buttons");
+    const modeButtons = document.getElementById("chart-mode-buttons");
+
+    rangeButtons.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-range]");
+      if (!button) return;
+
+      this.chartRange = button.dataset.range;
+      this.refreshPriceChart();
+    });
+
+    modeButtons.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-mode]");
+      if (!button) return;
+
+      this.chartMode = button.dataset.mode;
+      this.refreshPriceChart();
+    });
+
+    // Comparación de pares: fijar el par actual y quitar pares fijados
+    document
+      .getElementById("chart-compare-btn")
+      .addEventListener("click", () => this.addComparedPair());
+
+    document
+      .getElementById("chart-compare-list")
+      .addEventListener("click", (event) => {
+        const button = event.target.closest("button[data-pair-key]");
+        if (button) this.removeComparedPair(button.dataset.pairKey);
+      });
+
+    // Exportación de la serie y de la imagen del gráfico
+    document
+      .getElementById("chart-export-menu")
+      .addEventListener("click", (event) => {
+        const button = event.target.closest("button[data-export]");
+        if (!button) return;
+
+        this.exportChart(button.dataset.export);
+        button.closest("details").open = false;
+      });
+
+    // Períodos de los indicadores: se redibuja sin volver a pedir la serie
+    INDICATOR_PERIOD_INPUTS.forEach(({ inputId, setting }) => {
+      const input = document.getElementById(inputId);
+      input.value = this.chartIndicators[setting];
+
+      input.addEventListener("change", () => {
+        const period = Math.round(Number(input.value));
+        if (!Number.isFinite(period) || period < 2) {
+          input.value = this.chartIndicators[setting];
+          return;
+        }
+
+        this.chartIndicators[setting] = period;
+        saveJSON(CHART_INDICATORS_KEY, this.chartIndicators);
+        if (this.chartData) {
+          this.createPriceChart(
+            document.getElementById("price-chart"),
+            this.chartData,
+            this.chartTitle
+          );
+        }
+      });
+    });
+  }
+
+  refreshPriceChart() {
+    if (this.chartPair) {
+      this.displayPriceChart(this.chartPair.from, this.chartPair.to);
+    }
+  }
+
+  /**
+   * Descarga lo que muestra el gráfico: la serie en CSV o JSON, o la imagen
+   * en PNG
+   * @param {string} format - "csv", "json" o "png"
+   */
+  exportChart(format) {
+    if (!this.chartTable || !this.priceChart) return;
+
+    const pairs = this.chartTable.pairs
+      .map((pair) => pair.replace(" → ", "-"))
+      .join("_");
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `${t("chart.export.filename")}-${pairs}-${
+      this.chartTable.range
+    }-${date}`;
+
+    if (format === "png") {
+      downloadCanvasImage(`${filename}.png`, this.priceChart.canvas);
+    } else if (format === "json") {
+      downloadTextFile(
+        `${filename}.json`,
+        chartToJson(this.chartTable, getChartExportLabel),
+        "application/json"
+      );
     } else {
-      // Para números muy pequeños, mostrar más decimales
-      return new Intl.NumberFormat("es-ES", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 8,
-      }).format(num);
+      downloadTextFile(
+        `${filename}.csv`,
+        chartToCsv(this.chartTable, getChartExportLabel),
+        "text/csv"
+      );
     }
   }
 
   /**
-   * Muestra gráfico de tendencias de precios para el par de monedas
-   * @param {string} fromCurrency - Moneda origen
-   * @param {string} toCurrency - Moneda destino
+   * Fija el par mostrado para compararlo con los pares que se conviertan
+   * después
+   */
+  addComparedPair() {
+    if (!this.chartPair) return;
+
+    const pairKey = getPairKey(this.chartPair);
+    if (!this.comparedPairs.some((pair) => getPairKey(pair) === pairKey)) {
+      this.comparedPairs.push(this.chartPair);
+    }
+    this.refreshPriceChart();
+  }
+
+  removeComparedPair(pairKey) {
+    this.comparedPairs = this.comparedPairs.filter(
+      (pair) => getPairKey(pair) !== pairKey
+    );
+    this.refreshPriceChart();
+  }
+
+  /**
+   * Pares fijados para comparar, sin el par que se está mostrando
+   * @returns {Array<{from: Object, to: Object}>} Pares a superponer
+   */
+  getComparedPairs() {
+    const currentKey = getPairKey(this.chartPair);
+    return this.comparedPairs.filter((pair) => getPairKey(pair) !== currentKey);
+  }
+
+  /**
+   * Lista los pares fijados con un botón para quitar cada uno; con un solo
+   * par fijado se indica cómo sumar otro
+   */
+  renderComparedPairs() {
+    const list = document.getElementById("chart-compare-list");
+    list.innerHTML = "";
+
+    this.comparedPairs.forEach((pair) => {
+      const item = document.createElement("li");
+      item.className = "chart-compare-pair";
+      item.innerHTML = `
+        <span>${pair.from.code} → ${pair.to.code}</span>
+        <button type="button" data-pair-key="${getPairKey(pair)}" title="${t(
+        "chart.compare.remove"
+      )}" aria-label="${t("chart.compare.remove")}">×</button>
+      `;
+      list.appendChild(item);
+    });
+
+    if (this.comparedPairs.length > 0 && this.getComparedPairs().length === 0) {
+      const hint = document.createElement("li");
+      hint.className = "chart-compare-hint";
+      hint.textContent = t("chart.compare.hint");
+      list.appendChild(hint);
+    }
+
+    list.hidden = this.comparedPairs.length === 0;
+  }
+
+  /**
+   * Indica si el par admite el gráfico de velas: solo los pares de una
+   * criptomoneda con una moneda fiduciaria y si el proveedor de criptomonedas
+   * entrega velas OHLC. Entre dos criptomonedas no se conocen los máximos y
+   * mínimos del cociente, así que se muestra solo la línea.
+   * @param {Object} fromCurrency - Moneda origen
+   * @param {Object} toCurrency - Moneda destino
+   * @returns {boolean} true si se pueden mostrar velas
+   */
+  supportsCandles(fromCurrency, toCurrency) {
+    return (
+      (fromCurrency.type === "crypto") !== (toCurrency.type === "crypto") &&
+      typeof this.providers.crypto.getOhlcSeries === "function"
+    );
+  }
+
+  /**
+   * Marca el rango y el tipo de gráfico activos en la barra de controles
+   * @param {Object} range - Rango mostrado
+   * @param {string} mode - "line" o "candles"
+   * @param {boolean} candlesAvailable - Si el par admite velas
+   */
+  updateChartControls(range, mode, candlesAvailable) {
+    document
+      .querySelectorAll("#chart-range-buttons button")
+      .forEach((button) =>
+        button.classList.toggle("active", button.dataset.range === range.id)
+      );
+
+    const modeButtons = document.getElementById("chart-mode-buttons");
+    modeButtons.hidden = !candlesAvailable;
+    modeButtons
+      .querySelectorAll("button")
+      .forEach((button) =>
+        button.classList.toggle("active", button.dataset.mode === mode)
+      );
+  }
+
+  /**
+   * Muestra gráfico de tendencias de precios para el par de monedas en el
+   * rango y tipo de gráfico elegidos
+   * @param {Object} fromCurrency - Moneda origen (code, type, id)
+   * @param {Object} toCurrency - Moneda destino (code, type, id)
    */
   async displayPriceChart(fromCurrency, toCurrency) {
     const chartContainer = document.getElementById("chart-container");
     const chartCanvas = document.getElementById("price-chart");
 
+    this.chartPair = { from: fromCurrency, to: toCurrency };
+    // Descartar respuestas de una carga anterior si se cambió de rango o par
+    const requestId = ++this.chartRequestId;
+
+    const range = getChartRange(this.chartRange);
+    // Al comparar pares solo hay líneas normalizadas
+    const comparing = this.getComparedPairs().length > 0;
+    const candlesAvailable =
+      !comparing && this.supportsCandles(fromCurrency, toCurrency);
+    const mode =
+      candlesAvailable && this.chartMode === "candles" ? "candles" : "line";
+    this.updateChartControls(range, mode, candlesAvailable);
+    this.renderComparedPairs();
+
+    if (comparing) {
+      await this.displayComparisonChart(range, requestId);
+      return;
+    }
+
     try {
       // Mostrar contenedor de gráfico
       chartContainer.style.display = "block";
@@ -972,38 +1780,28 @@ class CurrencyConverter {
       // Mostrar indicador de carga
       this.showChartLoadingIndicator();
 
-      // Obtener tipos de moneda desde elementos DOM
-      const fromCurrencyInput = document.getElementById("from-currency");
-      const toCurrencyInput = document.getElementById("to-currency");
-
-      const fromCurrencyType = fromCurrencyInput.dataset.selectedType || "fiat";
-      const toCurrencyType = toCurrencyInput.dataset.selectedType || "fiat";
-
-      let historicalData;
-      let chartTitle = `${fromCurrency} → ${toCurrency}`;
+      let chartTitle = `${fromCurrency.code} → ${toCurrency.code}`;
+      const historicalData = await this.getPairHistoricalData(
+        fromCurrency,
+        toCurrency,
+        range,
+        mode
+      );
 
-      // Obtener datos históricos según el tipo de monedas
-      if (fromCurrencyType === "crypto") {
-        historicalData = await this.getCryptocurrencyHistoricalData(
-          fromCurrency,
-          toCurrency
-        );
-      } else if (toCurrencyType === "crypto") {
-        historicalData = await this.getCryptocurrencyHistoricalData(
-          toCurrency,
-          fromCurrency,
-          true
-        );
-      } else {
-        historicalData = await this.getFiatCurrencyHistoricalData(
-          fromCurrency,
-          toCurrency
-        );
-      }
+      if (requestId !== this.chartRequestId) return;
 
       // Actualizar título del gráfico
       const titleElement = chartContainer.querySelector("h3");
-      titleElement.textContent = `📈 Tendencia: ${chartTitle} (últimos 30 días)`;
+      titleElement.textContent = t("chart.title", {
+        pair: chartTitle,
+        range: t(`chart.rangeTitles.${range.id}`),
+      });
+
+      // Sin historial disponible: mostrar estado vacío en lugar de datos inventados
+      if (historicalData.data.length === 0) {
+        this.showChartNoData(t("chart.noData", { pair: chartTitle }));
+        return;
+      }
 
       // Ocultar indicador de carga y mostrar gráfico
       this.hideChartLoadingIndicator();
@@ -1011,71 +1809,153 @@ class CurrencyConverter {
       // Crear o actualizar instancia del gráfico
       this.createPriceChart(chartCanvas, historicalData, chartTitle);
     } catch (error) {
+      if (requestId !== this.chartRequestId) return;
+
       console.error("Error al cargar gráfico:", error);
       this.hideChartLoadingIndicator();
-      this.showChartError("No se pudieron cargar los datos históricos");
+      this.showChartError(t("chart.loadError"));
+    }
+  }
+
+  /**
+   * Superpone el par actual y los pares fijados, cada uno rebasado a 100 al
+   * inicio del rango. Los pares sin historial se omiten.
+   * @param {Object} range - Rango de tiempo (ver chart-ranges.js)
+   * @param {number} requestId - Carga a la que pertenece este dibujo
+   */
+  async displayComparisonChart(range, requestId) {
+    const chartContainer = document.getElementById("chart-container");
+    const chartCanvas = document.getElementById("price-chart");
+    const pairs = [this.chartPair, ...this.getComparedPairs()];
+
+    chartContainer.style.display = "block";
+    this.showChartLoadingIndicator();
+
+    const results = await Promise.all(
+      pairs.map((pair) =>
+        this.getPairHistoricalData(pair.from, pair.to, range).catch((error) => {
+          console.error("Error al cargar par para comparar:", error);
+          return null;
+        })
+      )
+    );
+
+    if (requestId !== this.chartRequestId) return;
+
+    chartContainer.querySelector("h3").textContent = t("chart.compare.title", {
+      range: t(`chart.rangeTitles.${range.id}`),
+    });
+
+    const available = pairs
+      .map((pair, index) => ({ pair: pair, chartData: results[index] }))
+      .filter(({ chartData }) => chartData && chartData.data.length > 0);
+
+    if (available.length === 0) {
+      this.showChartNoData(t("chart.compare.noData"));
+      return;
     }
+
+    const comparison = normalizeSeries(
+      available.map(({ chartData }) =>
+        chartData.timestamps.map((timestamp, index) => [
+          timestamp,
+          chartData.data[index],
+        ])
+      )
+    );
+
+    // Sin una fecha con datos de todos los pares no hay base común
+    if (comparison.baseTimestamp === null) {
+      this.showChartNoData(t("chart.compare.noOverlap"));
+      return;
+    }
+
+    this.hideChartLoadingIndicator();
+    this.createComparisonChart(
+      chartCanvas,
+      comparison,
+      available.map(({ pair }) => `${pair.from.code} → ${pair.to.code}`),
+      range
+    );
   }
 
   /**
-   * Obtiene datos históricos de criptomonedas desde CoinGecko
-   * @param {string} cryptoCurrency - Código de la criptomoneda
-   * @param {string} targetCurrency - Moneda de referencia
-   * @param {boolean} isInverse - Si debe invertir los precios
+   * Obtiene la serie histórica de un par según el tipo de sus monedas
+   * @param {Object} fromCurrency - Moneda origen (code, type, id)
+   * @param {Object} toCurrency - Moneda destino (code, type, id)
+   * @param {Object} range - Rango de tiempo (ver chart-ranges.js)
+   * @param {string} [mode] - "line" o "candles" (solo pares con criptomonedas)
+   * @returns {Promise<Object>} Datos formateados para el gráfico
+   */
+  getPairHistoricalData(fromCurrency, toCurrency, range, mode = "line") {
+    if (fromCurrency.type === "crypto" || toCurrency.type === "crypto") {
+      return this.getCryptocurrencyHistoricalData(
+        fromCurrency,
+        toCurrency,
+        range,
+        mode
+      );
+    }
+
+    return this.getFiatCurrencyHistoricalData(
+      fromCurrency.code,
+      toCurrency.code,
+      range
+    );
+  }
+
+  /**
+   * Obtiene la serie de un par con al menos una criptomoneda. Igual que el
+   * motor de conversión, cruza ambas monedas a través de USD: ETH→EUR combina
+   * ETH/USD con USD→EUR y BTC→ETH divide BTC/USD por ETH/USD punto a punto.
+   * @param {Object} fromCurrency - Moneda origen (code, type, id)
+   * @param {Object} toCurrency - Moneda destino (code, type, id)
+   * @param {Object} range - Rango de tiempo (ver chart-ranges.js)
+   * @param {string} [mode] - "line" para la serie de precios o "candles" para velas OHLC
    * @returns {Promise<Object>} Datos formateados para el gráfico
    */
   async getCryptocurrencyHistoricalData(
-    cryptoCurrency,
-    targetCurrency,
-    isInverse = false
+    fromCurrency,
+    toCurrency,
+    range = getChartRange(DEFAULT_CHART_RANGE),
+    mode = "line"
   ) {
     try {
-      const cryptoId = this.getCryptoId(cryptoCurrency);
+      if (fromCurrency.type === "crypto" && toCurrency.type === "crypto") {
+        const [basePrices, quotePrices] = await Promise.all([
+          this.getCryptocurrencyPriceSeries(fromCurrency.id, "USD", range),
+          this.getCryptocurrencyPriceSeries(toCurrency.id, "USD", range),
+        ]);
 
-      if (!cryptoId) {
-        throw new Error(
-          `ID de criptomoneda no encontrado para ${cryptoCurrency}`
+        return this.formatChartData(
+          combineSeries(basePrices, quotePrices, (base, quote) => base / quote),
+          range
         );
       }
 
-      // Obtener datos históricos de los últimos 30 días
-      const apiUrl = `https://api.coingecko.com/api/v3/coins/${cryptoId}/market_chart?vs_currency=usd&days=30&interval=daily`;
+      // Fiduciaria → cripto se calcula como cripto → fiduciaria invertida
+      const isInverse = fromCurrency.type !== "crypto";
+      const cryptoCurrency = isInverse ? toCurrency : fromCurrency;
+      const fiatCurrency = isInverse ? fromCurrency : toCurrency;
 
-      const response = await fetch(apiUrl);
+      const prices = await this.getCryptocurrencyPriceSeries(
+        cryptoCurrency.id,
+        fiatCurrency.code,
+        range,
+        mode
+      );
 
-      if (!response.ok) {
-        throw new Error(
-          `Error HTTP: ${response.status} al obtener datos históricos`
+      if (mode === "candles") {
+        return this.formatCandleData(
+          isInverse ? invertCandles(prices) : prices,
+          range
         );
       }
 
-      const historicalData = await response.json();
-
-      if (!historicalData.prices || !Array.isArray(historicalData.prices)) {
-        throw new Error("Formato de datos inválido de CoinGecko");
-      }
-
-      const priceData = historicalData.prices;
-
-      // Aplicar inversión si es necesario
-      let processedPrices = priceData;
-      if (isInverse) {
-        processedPrices = priceData.map((pricePoint) => [
-          pricePoint[0],
-          1 / pricePoint[1],
-        ]);
-      }
-
-      return {
-        labels: processedPrices.map((pricePoint) => {
-          const date = new Date(pricePoint[0]);
-          return date.toLocaleDateString("es-ES", {
-            month: "short",
-            day: "numeric",
-          });
-        }),
-        data: processedPrices.map((pricePoint) => pricePoint[1]),
-      };
+      return this.formatChartData(
+        isInverse ? invertSeries(prices) : prices,
+        range
+      );
     } catch (error) {
       console.error("Error en getCryptocurrencyHistoricalData:", error);
       throw error;
@@ -1083,61 +1963,122 @@ class CurrencyConverter {
   }
 
   /**
-   * Obtiene datos históricos simulados para monedas fiduciarias
+   * Serie de precios de una criptomoneda expresada en una moneda fiduciaria:
+   * la serie en USD multiplicada por la tasa USD→moneda vigente en cada punto.
+   * Si el historial fiduciario no cubre la moneda, se pide directamente al
+   * proveedor de criptomonedas.
+   * @param {string} cryptoId - ID de la criptomoneda en el proveedor
+   * @param {string} fiatCode - Código de la moneda fiduciaria
+   * @param {Object} range - Rango de tiempo (ver chart-ranges.js)
+   * @param {string} [mode] - "line" o "candles"
+   * @returns {Promise<Array>} Pares [timestamp, precio] o velas OHLC
+   */
+  async getCryptocurrencyPriceSeries(cryptoId, fiatCode, range, mode = "line") {
+    if (!cryptoId) {
+      throw new Error("ID de criptomoneda no especificado");
+    }
+
+    const fetchPrices = (symbol) =>
+      mode === "candles"
+        ? this.providers.crypto.getOhlcSeries(cryptoId, symbol, range.days)
+        : this.providers.crypto.getHistoricalSeries(
+            cryptoId,
+            symbol,
+            range.days
+          );
+
+    if (fiatCode === "USD") {
+      return fetchPrices("USD");
+    }
+
+    const [usdPrices, usdRates] = await Promise.all([
+      fetchPrices("USD"),
+      // Días de margen para tener la tasa vigente al inicio del rango aunque
+      // haya caído en fin de semana o feriado
+      this.providers.fiatHistory.getHistoricalSeries(
+        "USD",
+        fiatCode,
+        range.days === "max" ? "max" : range.days + 7
+      ),
+    ]);
+
+    if (usdRates.length === 0) {
+      return fetchPrices(fiatCode);
+    }
+
+    return mode === "candles"
+      ? scaleCandles(usdPrices, usdRates)
+      : combineSeries(usdPrices, usdRates, (price, rate) => price * rate);
+  }
+
+  /**
+   * Obtiene datos históricos reales para monedas fiduciarias desde el
+   * proveedor de tasas históricas configurado
    * @param {string} fromCurrency - Moneda origen
    * @param {string} toCurrency - Moneda destino
-   * @returns {Promise<Object>} Datos simulados para el gráfico
+   * @param {Object} range - Rango de tiempo (ver chart-ranges.js)
+   * @returns {Promise<Object>} Datos formateados para el gráfico (vacíos si no hay historial)
    */
-  async getFiatCurrencyHistoricalData(fromCurrency, toCurrency) {
+  async getFiatCurrencyHistoricalData(
+    fromCurrency,
+    toCurrency,
+    range = getChartRange(DEFAULT_CHART_RANGE)
+  ) {
     try {
-      // Obtener tasa actual como base para simulación
-      const currentExchangeRate = await this.getFiatToFiatExchangeRate(
+      const pricePoints = await this.providers.fiatHistory.getHistoricalSeries(
         fromCurrency,
-        toCurrency
+        toCurrency,
+        range.days
       );
 
-      // Generar datos simulados con variaciones realistas (±2%)
-      const chartData = [];
-      const dateLabels = [];
-
-      for (let dayOffset = 29; dayOffset >= 0; dayOffset--) {
-        const date = new Date();
-        date.setDate(date.getDate() - dayOffset);
-        dateLabels.push(
-          date.toLocaleDateString("es-ES", { month: "short", day: "numeric" })
-        );
-
-        // Aplicar variación aleatoria pequeña para simular fluctuaciones
-        const randomVariation = (Math.random() - 0.5) * 0.04; // ±2%
-        chartData.push(currentExchangeRate * (1 + randomVariation));
-      }
-
-      return { labels: dateLabels, data: chartData };
+      return this.formatChartData(pricePoints, range);
     } catch (error) {
       console.error("Error en getFiatCurrencyHistoricalData:", error);
-      // Datos de respaldo en caso de error
-      return this.generateFallbackChartData();
+      throw error;
     }
   }
 
   /**
-   * Genera datos de respaldo para el gráfico en caso de error
-   * @returns {Object} Datos básicos para mantener funcionalidad del gráfico
+   * Convierte pares [timestamp, valor] al formato que espera el gráfico
+   * @param {Array<[number, number]>} pricePoints - Serie de precios
+   * @param {Object} range - Rango de tiempo, define el formato de las fechas
+   * @returns {Object} Fechas, etiquetas de fecha y valores
    */
-  generateFallbackChartData() {
-    const dateLabels = [];
-    const priceData = [];
-
-    for (let dayOffset = 29; dayOffset >= 0; dayOffset--) {
-      const date = new Date();
-      date.setDate(date.getDate() - dayOffset);
-      dateLabels.push(
-        date.toLocaleDateString("es-ES", { month: "short", day: "numeric" })
-      );
-      priceData.push(1 + (Math.random() - 0.5) * 0.02); // Variación mínima del ±1%
-    }
+  formatChartData(pricePoints, range) {
+    const timestamps = pricePoints.map((pricePoint) => pricePoint[0]);
+    const { labelFormat, tooltipFormat } = getChartFormats(range, timestamps);
+
+    return {
+      range: range,
+      tooltipFormat: tooltipFormat,
+      timestamps: timestamps,
+      labels: timestamps.map((timestamp) =>
+        formatChartTimestamp(timestamp, labelFormat, getIntlLocale())
+      ),
+      data: pricePoints.map((pricePoint) => pricePoint[1]),
+    };
+  }
 
-    return { labels: dateLabels, data: priceData };
+  /**
+   * Convierte velas [timestamp, apertura, máximo, mínimo, cierre] al formato
+   * del gráfico; `data` conserva los cierres como serie de precios
+   * @param {Array<[number, number, number, number, number]>} candles - Velas OHLC
+   * @param {Object} range - Rango de tiempo, define el formato de las fechas
+   * @returns {Object} Fechas, etiquetas, cierres y velas
+   */
+  formatCandleData(candles, range) {
+    return {
+      ...this.formatChartData(
+        candles.map(([timestamp, , , , close]) => [timestamp, close]),
+        range
+      ),
+      candles: candles.map(([, open, high, low, close]) => ({
+        open: open,
+        high: high,
+        low: low,
+        close: close,
+      })),
+    };
   }
 
   /**
@@ -1154,33 +2095,83 @@ class CurrencyConverter {
       this.priceChart.destroy();
     }
 
+    this.chartData = chartData;
+    this.chartTitle = chartTitle;
+    this.renderChartSummary(chartData);
+    this.chartTable = {
+      pairs: [chartTitle],
+      range: chartData.range.id,
+      timestamps: chartData.timestamps,
+      columns: chartData.candles
+        ? ["open", "high", "low", "close"].map((field) => ({
+            name: getChartExportLabel(field),
+            values: chartData.candles.map((candle) => candle[field]),
+          }))
+        : [{ name: getChartExportLabel("value"), values: chartData.data }],
+    };
+
+    const formatValue = (value) =>
+      value.toLocaleString(getIntlLocale(), { maximumFractionDigits: 6 });
+    // Con series horarias o de varios años los puntos taparían la línea
+    const pointRadius = chartData.data.length > 60 ? 0 : 5;
+
     this.priceChart = new Chart(chartContext, {
-      type: "line",
+      type: chartData.candles ? "bar" : "line",
       data: {
         labels: chartData.labels,
         datasets: [
-          {
-            label: "Precio",
-            data: chartData.data,
-            borderColor: "#667eea",
-            backgroundColor: "rgba(102, 126, 234, 0.1)",
-            borderWidth: 3,
-            fill: true,
-            tension: 0.4,
-            pointBackgroundColor: "#667eea",
-            pointBorderColor: "#ffffff",
-            pointBorderWidth: 2,
-            pointRadius: 5,
-            pointHoverRadius: 8,
-          },
+          ...(chartData.candles
+            ? this.createCandlestickDatasets(chartData.candles)
+            : [
+                {
+                  label: t("chart.price"),
+                  data: chartData.data,
+                  borderColor: "#667eea",
+                  backgroundColor: "rgba(102, 126, 234, 0.1)",
+                  borderWidth: 3,
+                  fill: true,
+                  tension: 0.4,
+                  pointBackgroundColor: "#667eea",
+                  pointBorderColor: "#ffffff",
+                  pointBorderWidth: 2,
+                  pointRadius: pointRadius,
+                  pointHoverRadius: 8,
+                },
+              ]),
+          ...this.createOverlayDatasets(chartData),
         ],
       },
       options: {
         responsive: true,
         maintainAspectRatio: false,
         plugins: {
+          // La leyenda solo lista los indicadores; un clic los muestra u oculta
           legend: {
-            display: false,
+            display: true,
+            position: "bottom",
+            labels: {
+              usePointStyle: true,
+              filter: function (legendItem, data) {
+                const dataset = data.datasets[legendItem.datasetIndex];
+                return Boolean(dataset.overlayId && !dataset.legendHidden);
+              },
+            },
+            onClick: (event, legendItem, legend) => {
+              const chart = legend.chart;
+              const { overlayId } =
+                chart.data.datasets[legendItem.datasetIndex];
+              const visible = !chart.isDatasetVisible(legendItem.datasetIndex);
+
+              chart.data.datasets.forEach((dataset, index) => {
+                if (dataset.overlayId === overlayId) {
+                  chart.setDatasetVisibility(index, visible);
+                }
+              });
+              chart.update();
+
+              this.chartIndicators.visible[overlayId] = visible;
+              saveJSON(CHART_INDICATORS_KEY, this.chartIndicators);
+            },
           },
           tooltip: {
             backgroundColor: "rgba(0, 0, 0, 0.8)",
@@ -1190,12 +2181,42 @@ class CurrencyConverter {
             borderWidth: 1,
             cornerRadius: 8,
             displayColors: false,
+            // En velas, una sola línea por vela (la del cuerpo); de los
+            // indicadores, solo los que tienen valor en ese punto
+            filter: function (tooltipItem) {
+              if (tooltipItem.dataset.overlayId) {
+                return tooltipItem.parsed.y !== null;
+              }
+              return !chartData.candles || tooltipItem.datasetIndex === 1;
+            },
             callbacks: {
               title: function (tooltipContext) {
-                return tooltipContext[0].label;
+                return formatChartTimestamp(
+                  chartData.timestamps[tooltipContext[0].dataIndex],
+                  chartData.tooltipFormat,
+                  getIntlLocale()
+                );
               },
               label: function (tooltipContext) {
-                return `Precio: ${tooltipContext.parsed.y.toFixed(6)}`;
+                if (tooltipContext.dataset.overlayId) {
+                  return `${tooltipContext.dataset.tooltipLabel}: ${formatValue(
+                    tooltipContext.parsed.y
+                  )}`;
+                }
+
+                if (chartData.candles) {
+                  const candle = chartData.candles[tooltipContext.dataIndex];
+                  return t("chart.candleTooltip", {
+                    open: formatValue(candle.open),
+                    high: formatValue(candle.high),
+                    low: formatValue(candle.low),
+                    close: formatValue(candle.close),
+                  });
+                }
+
+                return t("chart.priceTooltip", {
+                  value: formatValue(tooltipContext.parsed.y),
+                });
               },
             },
           },
@@ -1210,6 +2231,9 @@ class CurrencyConverter {
               font: {
                 size: 11,
               },
+              autoSkip: true,
+              maxTicksLimit: 8,
+              maxRotation: 0,
             },
           },
           y: {
@@ -1235,6 +2259,342 @@ class CurrencyConverter {
     });
   }
 
+  /**
+   * Dibuja la comparación normalizada: una línea por par con su color y su
+   * entrada en la leyenda. El tooltip lista todos los pares en la fecha bajo
+   * el cursor, con el valor rebasado y la tasa real.
+   * @param {HTMLCanvasElement} canvasElement - Elemento canvas del gráfico
+   * @param {Object} comparison - Resultado de normalizeSeries
+   * @param {Array<string>} pairLabels - Nombre de cada par, en el mismo orden
+   * @param {Object} range - Rango de tiempo (ver chart-ranges.js)
+   */
+  createComparisonChart(canvasElement, comparison, pairLabels, range) {
+    if (this.priceChart) {
+      this.priceChart.destroy();
+    }
+
+    // Los indicadores y el resumen corresponden a un solo par
+    this.chartData = null;
+    this.chartTitle = null;
+    document.getElementById("chart-summary").hidden = true;
+    this.chartTable = {
+      pairs: pairLabels,
+      range: range.id,
+      timestamps: comparison.timestamps,
+      columns: comparison.series.flatMap((series, index) => [
+        { name: pairLabels[index], values: series.values },
+        {
+          name: t("chart.export.columns.rebased", { pair: pairLabels[index] }),
+          values: series.rebased,
+        },
+      ]),
+    };
+
+    const { labelFormat, tooltipFormat } = getChartFormats(
+      range,
+      comparison.timestamps
+    );
+    const locale = getIntlLocale();
+
+    this.priceChart = new Chart(canvasElement.getContext("2d"), {
+      type: "line",
+      data: {
+        labels: comparison.timestamps.map((timestamp) =>
+          formatChartTimestamp(timestamp, labelFormat, locale)
+        ),
+        datasets: comparison.series.map((series, index) => {
+          const color = COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+          return {
+            label: pairLabels[index],
+            data: series.rebased,
+            rates: series.values,
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            tension: 0.2,
+            spanGaps: true,
+          };
+        }),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: true,
+            position: "bottom",
+            labels: {
+              usePointStyle: true,
+            },
+          },
+          tooltip: {
+            backgroundColor: "rgba(0, 0, 0, 0.8)",
+            titleColor: "#ffffff",
+            bodyColor: "#ffffff",
+            borderColor: "#667eea",
+            borderWidth: 1,
+            cornerRadius: 8,
+            filter: function (tooltipItem) {
+              return tooltipItem.parsed.y !== null;
+            },
+            callbacks: {
+              title: function (tooltipContext) {
+                return formatChartTimestamp(
+                  comparison.timestamps[tooltipContext[0].dataIndex],
+                  tooltipFormat,
+                  locale
+                );
+              },
+              label: function (tooltipContext) {
+                const rate =
+                  tooltipContext.dataset.rates[tooltipContext.dataIndex];
+                return t("chart.compare.tooltip", {
+                  pair: tooltipContext.dataset.label,
+                  value: tooltipContext.parsed.y.toLocaleString(locale, {
+                    minimumFractionDigits: 2,
+                    maximumFractionDigits: 2,
+                  }),
+                  rate: rate.toLocaleString(locale, {
+                    maximumFractionDigits: 6,
+                  }),
+                });
+              },
+            },
+          },
+        },
+        scales: {
+          x: {
+            grid: {
+              color: "rgba(0, 0, 0, 0.1)",
+            },
+            ticks: {
+              color: "#6c757d",
+              font: {
+                size: 11,
+              },
+              autoSkip: true,
+              maxTicksLimit: 8,
+              maxRotation: 0,
+            },
+          },
+          y: {
+            grid: {
+              color: "rgba(0, 0, 0, 0.1)",
+            },
+            ticks: {
+              color: "#6c757d",
+              font: {
+                size: 11,
+              },
+            },
+          },
+        },
+        interaction: {
+          intersect: false,
+          mode: "index",
+        },
+      },
+    });
+  }
+
+  /**
+   * Arma las velas con dos series de barras flotantes superpuestas: una
+   * fina del mínimo al máximo (mecha) y otra de la apertura al cierre
+   * (cuerpo), verdes si el precio subió y rojas si bajó
+   * @param {Array<Object>} candles - Velas con open, high, low y close
+   * @returns {Array<Object>} Datasets de Chart.js
+   */
+  createCandlestickDatasets(candles) {
+    const colors = candles.map((candle) =>
+      candle.close >= candle.open ? "#28a745" : "#dc3545"
+    );
+
+    return [
+      {
+        label: t("chart.price"),
+        data: candles.map((candle) => [candle.low, candle.high]),
+        backgroundColor: colors,
+        barPercentage: 0.15,
+        grouped: false,
+      },
+      {
+        label: t("chart.price"),
+        data: candles.map((candle) => [candle.open, candle.close]),
+        backgroundColor: colors,
+        barPercentage: 0.8,
+        grouped: false,
+        // Cuerpo visible aunque apertura y cierre coincidan
+        minBarLength: 1,
+      },
+    ];
+  }
+
+  /**
+   * Arma los datasets de los indicadores técnicos sobre la serie de precios
+   * (los cierres, en velas). Cada indicador lleva un `overlayId` que la
+   * leyenda usa para mostrarlo u ocultarlo; las bandas de Bollinger y los
+   * marcadores de extremos son dos datasets con una sola entrada.
+   * @param {Object} chartData - Datos del gráfico
+   * @returns {Array<Object>} Datasets de Chart.js
+   */
+  createOverlayDatasets(chartData) {
+    const { smaPeriod, emaPeriod, bollingerPeriod, visible } =
+      this.chartIndicators;
+    const values = chartData.data;
+    const bands = bollingerBands(values, bollingerPeriod);
+
+    const overlayLine = (overlayId, label, data, color, extra = {}) => ({
+      type: "line",
+      overlayId: overlayId,
+      label: label,
+      tooltipLabel: label,
+      data: data,
+      hidden: !visible[overlayId],
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: 2,
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      tension: 0,
+      fill: false,
+      ...extra,
+    });
+
+    // En velas, los extremos son el máximo de los máximos y el mínimo de los mínimos
+    const highs = chartData.candles
+      ? chartData.candles.map((candle) => candle.high)
+      : values;
+    const lows = chartData.candles
+      ? chartData.candles.map((candle) => candle.low)
+      : values;
+    const highest = findExtremes(highs);
+    const lowest = findExtremes(lows);
+    const markerAt = (index, value) =>
+      values.map((_, pointIndex) => (pointIndex === index ? value : null));
+
+    return [
+      overlayLine(
+        "sma",
+        t("chart.indicators.sma", { period: smaPeriod }),
+        simpleMovingAverage(values, smaPeriod),
+        "#fd7e14"
+      ),
+      overlayLine(
+        "ema",
+        t("chart.indicators.ema", { period: emaPeriod }),
+        exponentialMovingAverage(values, emaPeriod),
+        "#20c997"
+      ),
+      overlayLine(
+        "bollinger",
+        t("chart.indicators.bollinger", { period: bollingerPeriod }),
+        bands.upper,
+        "rgba(108, 117, 125, 0.8)",
+        {
+          tooltipLabel: t("chart.indicators.upperBand"),
+          borderWidth: 1,
+          borderDash: [4, 4],
+        }
+      ),
+      overlayLine(
+        "bollinger",
+        t("chart.indicators.lowerBand"),
+        bands.lower,
+        "rgba(108, 117, 125, 0.8)",
+        {
+          legendHidden: true,
+          borderWidth: 1,
+          borderDash: [4, 4],
+          // Sombrea el espacio entre ambas bandas
+          fill: "-1",
+          backgroundColor: "rgba(108, 117, 125, 0.08)",
+        }
+      ),
+      overlayLine(
+        "extremes",
+        t("chart.indicators.extremes"),
+        markerAt(highest.max.index, highest.max.value),
+        "#28a745",
+        {
+          tooltipLabel: t("chart.indicators.highest"),
+          showLine: false,
+          pointStyle: "triangle",
+          pointRadius: 8,
+          pointHoverRadius: 10,
+        }
+      ),
+      overlayLine(
+        "extremes",
+        t("chart.indicators.lowest"),
+        markerAt(lowest.min.index, lowest.min.value),
+        "#dc3545",
+        {
+          legendHidden: true,
+          showLine: false,
+          pointStyle: "triangle",
+          rotation: 180,
+          pointRadius: 8,
+          pointHoverRadius: 10,
+        }
+      ),
+    ];
+  }
+
+  /**
+   * Muestra bajo el gráfico la variación del período (absoluta y
+   * porcentual), la volatilidad y los extremos de la serie
+   * @param {Object} chartData - Datos del gráfico
+   */
+  renderChartSummary(chartData) {
+    const summaryElement = document.getElementById("chart-summary");
+    const values = chartData.data;
+    const change = periodChange(values);
+    const extremes = findExtremes(values);
+    const periodVolatility = volatility(values);
+
+    const formatValue = (value, options = {}) =>
+      value.toLocaleString(getIntlLocale(), {
+        maximumFractionDigits: 6,
+        ...options,
+      });
+    const formatPercent = (value, options = {}) =>
+      `${formatValue(value, { maximumFractionDigits: 2, ...options })} %`;
+
+    const items = [];
+    if (change) {
+      const trend =
+        change.absolute > 0 ? "up" : change.absolute < 0 ? "down" : "flat";
+      items.push(
+        `<span class="chart-summary-${trend}">${t("chart.summary.change", {
+          absolute: formatValue(change.absolute, { signDisplay: "exceptZero" }),
+          percent: formatPercent(change.percent, {
+            signDisplay: "exceptZero",
+          }),
+        })}</span>`
+      );
+    }
+    if (periodVolatility !== null) {
+      items.push(
+        `<span>${t("chart.summary.volatility", {
+          value: formatPercent(periodVolatility),
+        })}</span>`
+      );
+    }
+    if (extremes) {
+      items.push(
+        `<span>${t("chart.summary.range", {
+          low: formatValue(extremes.min.value),
+          high: formatValue(extremes.max.value),
+        })}</span>`
+      );
+    }
+
+    summaryElement.innerHTML = items.join("");
+    summaryElement.hidden = items.length === 0;
+  }
+
   /**
    * Muestra indicador de carga para el gráfico
    */
@@ -1250,7 +2610,15 @@ class CurrencyConverter {
       chartContainer.appendChild(loadingElement);
     }
 
-    loadingElement.innerHTML = "📊 Cargando datos históricos...";
+    // Ocultar mensajes de una carga anterior
+    chartContainer
+      .querySelectorAll(".chart-error, .chart-no-data")
+      .forEach((element) => (element.style.display = "none"));
+    document.getElementById("chart-summary").hidden = true;
+    // Nada que exportar hasta que se dibuje la nueva serie
+    this.chartTable = null;
+
+    loadingElement.textContent = t("chart.loading");
     loadingElement.style.display = "block";
   }
 
@@ -1277,6 +2645,10 @@ class CurrencyConverter {
     const chartCanvas = document.getElementById("price-chart");
     const loadingElement = chartContainer.querySelector(".chart-loading");
 
+    // Sin serie dibujada, cambiar los indicadores no debe redibujar la anterior
+    this.chartData = null;
+    this.chartTitle = null;
+
     chartCanvas.style.display = "none";
     if (loadingElement) loadingElement.style.display = "none";
 
@@ -1292,15 +2664,43 @@ class CurrencyConverter {
   }
 
   /**
-   * Obtiene el ID de CoinGecko para una criptomoneda específica
-   * @param {string} currencyCode - Código de la criptomoneda (ej: BTC, ETH)
-   * @returns {string|undefined} ID de CoinGecko o undefined si no se encuentra
+   * Muestra el estado "sin datos" cuando el proveedor no tiene historial
+   * @param {string} message - Mensaje informativo a mostrar
    */
-  getCryptoId(currencyCode) {
-    return this.cryptoIdMap.get(currencyCode.toUpperCase());
+  showChartNoData(message) {
+    const chartContainer = document.getElementById("chart-container");
+    const chartCanvas = document.getElementById("price-chart");
+    const loadingElement = chartContainer.querySelector(".chart-loading");
+
+    // Sin serie dibujada, cambiar los indicadores no debe redibujar la anterior
+    this.chartData = null;
+    this.chartTitle = null;
+
+    chartCanvas.style.display = "none";
+    if (loadingElement) loadingElement.style.display = "none";
+
+    let noDataElement = chartContainer.querySelector(".chart-no-data");
+    if (!noDataElement) {
+      noDataElement = document.createElement("div");
+      noDataElement.className = "chart-no-data";
+      chartContainer.appendChild(noDataElement);
+    }
+
+    noDataElement.textContent = `📭 ${message}`;
+    noDataElement.style.display = "block";
   }
 }
 
+/**
+ * Nombre de una columna o clave fija de la exportación del gráfico, en el
+ * idioma de la interfaz
+ * @param {string} key - "date", "value", "open", "pairs"...
+ * @returns {string} Nombre traducido
+ */
+function getChartExportLabel(key) {
+  return t(`chart.export.columns.${key}`);
+}
+
 /**
  * Inicialización de la aplicación
  * Se ejecuta cuando el DOM está completamente cargado
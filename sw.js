@@ -0,0 +1,153 @@
+/**
+ * Service worker del Conversor de Monedas
+ * Guarda la aplicación y los datos estáticos para que funcione sin conexión.
+ * Las cotizaciones no pasan por aquí: la caché de tasas de la aplicación
+ * (js/storage/rate-cache.js) conserva las últimas tasas obtenidas.
+ */
+const CACHE_NAME = "conversor-shell-v1";
+
+// Archivos propios que forman la aplicación
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./script.js",
+  "./js/config.js",
+  "./js/core/amount-expression.js",
+  "./js/core/batch-csv.js",
+  "./js/core/chart-export.js",
+  "./js/core/chart-indicators.js",
+  "./js/core/chart-ranges.js",
+  "./js/core/chart-series.js",
+  "./js/core/conversion-engine.js",
+  "./js/core/conversion-link.js",
+  "./js/core/csv.js",
+  "./js/core/currency-search.js",
+  "./js/core/currency-precision.js",
+  "./js/core/decimal.js",
+  "./js/core/history-export.js",
+  "./js/core/number-format.js",
+  "./js/core/rate-alerts.js",
+  "./js/i18n/i18n.js",
+  "./js/providers/index.js",
+  "./js/providers/provider.js",
+  "./js/providers/cached-provider.js",
+  "./js/providers/exchange-rate-api-provider.js",
+  "./js/providers/coingecko-provider.js",
+  "./js/providers/frankfurter-provider.js",
+  "./js/providers/fixture-provider.js",
+  "./js/providers/dolar-api-provider.js",
+  "./js/storage/alert-store.js",
+  "./js/storage/conversion-history.js",
+  "./js/storage/currency-preferences.js",
+  "./js/storage/local-store.js",
+  "./js/storage/rate-cache.js",
+  "./js/ui/alerts-panel.js",
+  "./js/ui/batch-panel.js",
+  "./js/ui/download.js",
+  "./js/ui/history-panel.js",
+  "./js/ui/live-conversion.js",
+  "./js/ui/multi-target-panel.js",
+  "./js/ui/pinned-pairs-bar.js",
+  "./data/currencies.json",
+  "./data/popular-currencies.json",
+  "./data/fallback-cryptos.json",
+  "./data/currency-aliases.json",
+  "./data/i18n/es.json",
+  "./data/i18n/en.json",
+  "./data/i18n/pt.json",
+  "./data/fixtures/historical-rates.json",
+];
+
+// Librerías externas; si el CDN no responde la instalación continúa igual
+const CDN_LIBRARIES = [
+  "https://cdn.jsdelivr.net/npm/sweetalert2@11",
+  "https://cdn.jsdelivr.net/npm/chart.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache
+          .addAll(APP_SHELL)
+          .then(() =>
+            Promise.all(
+              CDN_LIBRARIES.map((url) =>
+                cache
+                  .add(url)
+                  .catch((error) =>
+                    console.warn(`No se pudo guardar ${url}:`, error)
+                  )
+              )
+            )
+          )
+      )
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  // Eliminar cachés de versiones anteriores
+  event.waitUntil(
+    caches
+      .keys()
+      .then((cacheNames) =>
+        Promise.all(
+          cacheNames
+            .filter((cacheName) => cacheName !== CACHE_NAME)
+            .map((cacheName) => caches.delete(cacheName))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  const isAppFile = url.origin === self.location.origin;
+  const isLibrary = CDN_LIBRARIES.some((libraryUrl) =>
+    request.url.startsWith(libraryUrl)
+  );
+
+  if (request.method !== "GET" || (!isAppFile && !isLibrary)) {
+    return;
+  }
+
+  // Red primero para recibir actualizaciones; caché si no hay conexión
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const responseCopy = response.clone();
+          caches
+            .open(CACHE_NAME)
+            .then((cache) => cache.put(request, responseCopy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches
+          .match(request, { ignoreSearch: isAppFile })
+          .then((cachedResponse) => cachedResponse || Response.error())
+      )
+  );
+});
+
+// Al tocar una alerta de tasa se enfoca la pestaña abierta o se abre una nueva
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((windowClients) => {
+      const appClient = windowClients.find((client) => "focus" in client);
+      return appClient
+        ? appClient.focus()
+        : self.clients.openWindow(
+            (event.notification.data && event.notification.data.url) || "./"
+          );
+    })
+  );
+});
@@ -0,0 +1,50 @@
+/**
+ * Verificaciones de la lectura de planillas para la conversión por lotes.
+ * Se ejecutan con node --test tests/
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  guessColumnMapping,
+  parseAmountCell,
+  parseDateCell,
+} from "../js/core/batch-csv.js";
+
+test("las fechas ISO se aceptan en cualquier idioma", () => {
+  ["es-ES", "en-US", "pt-BR"].forEach((locale) => {
+    assert.equal(parseDateCell("2026-03-15", locale), "2026-03-15");
+  });
+});
+
+test("las fechas numéricas siguen el orden de día y mes del idioma", () => {
+  assert.equal(parseDateCell("04/05/2026", "es-ES"), "2026-05-04");
+  assert.equal(parseDateCell("04/05/2026", "pt-BR"), "2026-05-04");
+  assert.equal(parseDateCell("04/05/2026", "en-US"), "2026-04-05");
+  assert.equal(parseDateCell("15.03.2026", "es-ES"), "2026-03-15");
+});
+
+test("rechaza fechas en el orden de otro idioma o que no existen", () => {
+  assert.equal(parseDateCell("03/15/2026", "es-ES"), null);
+  assert.equal(parseDateCell("15/03/2026", "en-US"), null);
+  assert.equal(parseDateCell("2026-02-30", "en-US"), null);
+});
+
+test("los montos usan los separadores del idioma y conservan el signo", () => {
+  assert.equal(parseAmountCell("1.500", "es-ES"), "1500");
+  assert.equal(parseAmountCell("1.500", "en-US"), "1.5");
+  assert.equal(parseAmountCell("$ 1,234.56", "en-US"), "1234.56");
+  assert.equal(parseAmountCell("-15,5", "es-ES"), "-15.5");
+  assert.equal(parseAmountCell("USD", "es-ES"), null);
+});
+
+test("sin encabezado, las columnas se deducen con el formato del idioma", () => {
+  assert.deepEqual(
+    guessColumnMapping([["1,234.50", "USD", "03/15/2026"]], "en-US"),
+    {
+      hasHeader: false,
+      amount: 0,
+      currency: 1,
+      date: 2,
+    }
+  );
+});
@@ -0,0 +1,101 @@
+/**
+ * Casos borde de los indicadores técnicos del gráfico.
+ * Se ejecutan con el corredor de Node, sin dependencias: node --test tests/
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  bollingerBands,
+  exponentialMovingAverage,
+  findExtremes,
+  periodChange,
+  simpleMovingAverage,
+  volatility,
+} from "../js/core/chart-indicators.js";
+
+// Compara series numéricas tolerando el redondeo de coma flotante
+function assertSeriesClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, index) => {
+    if (expected[index] === null) {
+      assert.equal(value, null, `posición ${index}`);
+    } else {
+      assert.ok(
+        Math.abs(value - expected[index]) < 1e-9,
+        `posición ${index}: ${value} ≠ ${expected[index]}`
+      );
+    }
+  });
+}
+
+test("la media simple empieza cuando hay un período completo", () => {
+  assertSeriesClose(simpleMovingAverage([1, 2, 3, 4, 5], 3), [
+    null,
+    null,
+    2,
+    3,
+    4,
+  ]);
+});
+
+test("un período más largo que la serie no produce valores", () => {
+  const values = [1, 2, 3];
+
+  assert.deepEqual(simpleMovingAverage(values, 5), [null, null, null]);
+  assert.deepEqual(exponentialMovingAverage(values, 5), [null, null, null]);
+  assert.deepEqual(bollingerBands(values, 5), {
+    middle: [null, null, null],
+    upper: [null, null, null],
+    lower: [null, null, null],
+  });
+});
+
+test("una serie vacía da indicadores vacíos y sin resumen", () => {
+  assert.deepEqual(simpleMovingAverage([], 3), []);
+  assert.deepEqual(exponentialMovingAverage([], 3), []);
+  assert.equal(findExtremes([]), null);
+  assert.equal(periodChange([]), null);
+  assert.equal(volatility([]), null);
+});
+
+test("la media exponencial parte de la media simple del primer período", () => {
+  // Suavizado 2 / (3 + 1) = 0,5
+  assertSeriesClose(exponentialMovingAverage([2, 4, 6, 8, 10], 3), [
+    null,
+    null,
+    4,
+    6,
+    8,
+  ]);
+});
+
+test("en una serie plana las bandas de Bollinger se cierran sobre la media", () => {
+  const flat = new Array(200).fill(0.1);
+  const bands = bollingerBands(flat, 20);
+  const expected = flat.map((value, index) => (index < 19 ? null : value));
+
+  assertSeriesClose(bands.middle, expected);
+  assertSeriesClose(bands.upper, expected);
+  assertSeriesClose(bands.lower, expected);
+  assert.equal(volatility(flat), 0);
+});
+
+test("las bandas se separan según el desvío estándar poblacional", () => {
+  // Media 5 y desvío poblacional 2 para [2, 4, 4, 4, 5, 5, 7, 9]
+  const bands = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+
+  assertSeriesClose(bands.middle.slice(-1), [5]);
+  assertSeriesClose(bands.upper.slice(-1), [9]);
+  assertSeriesClose(bands.lower.slice(-1), [1]);
+});
+
+test("el resumen encuentra extremos y variación del período", () => {
+  assert.deepEqual(findExtremes([3, 1, 4, 1, 5]), {
+    max: { index: 4, value: 5 },
+    min: { index: 1, value: 1 },
+  });
+  assert.deepEqual(periodChange([100, 90, 110]), {
+    absolute: 10,
+    percent: 10,
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Verificaciones de la normalización de series para la comparación de pares.
+ * Se ejecutan con node --test tests/
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { normalizeSeries } from "../js/core/chart-series.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("todas las series se rebasan en la primera fecha común", () => {
+  const full = [
+    [0, 10],
+    [DAY, 20],
+    [2 * DAY, 30],
+    [3 * DAY, 40],
+  ];
+  const late = [
+    [2 * DAY, 5],
+    [3 * DAY, 10],
+  ];
+
+  const comparison = normalizeSeries([full, late], 100, DAY / 2);
+
+  assert.equal(comparison.baseTimestamp, 2 * DAY);
+  assert.deepEqual(comparison.series[0].rebased, [
+    null,
+    null,
+    100,
+    (40 / 30) * 100,
+  ]);
+  assert.deepEqual(comparison.series[1].rebased, [null, null, 100, 200]);
+  assert.deepEqual(comparison.series[1].values, [null, null, 5, 10]);
+});
+
+test("sin fechas comunes no hay base ni valores rebasados", () => {
+  const comparison = normalizeSeries(
+    [
+      [
+        [0, 1],
+        [DAY, 2],
+        [2 * DAY, 3],
+      ],
+      [[10 * DAY, 4]],
+    ],
+    100,
+    DAY / 2
+  );
+
+  assert.equal(comparison.baseTimestamp, null);
+  comparison.series.forEach((series) =>
+    assert.ok(series.rebased.every((value) => value === null))
+  );
+});
@@ -0,0 +1,153 @@
+/**
+ * Verificaciones del motor de conversión contra el proveedor de fixture, sin
+ * red: el fixture es la serie diaria de data/fixtures/historical-rates.json
+ * (base USD, septiembre de 2026). Se ejecutan con node --test tests/
+ */
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { before, test } from "node:test";
+import {
+  ConversionEngine,
+  ConversionError,
+} from "../js/core/conversion-engine.js";
+import { setFiatMinorUnits } from "../js/core/currency-precision.js";
+import { FixtureProvider } from "../js/providers/fixture-provider.js";
+
+const readJson = (path) =>
+  JSON.parse(readFileSync(new URL(path, import.meta.url), "utf8"));
+
+const fixture = readJson("../data/fixtures/historical-rates.json");
+const LAST_DAY = "2026-09-30";
+
+const EUR = { code: "EUR", type: "fiat" };
+const ARS = { code: "ARS", type: "fiat" };
+const JPY = { code: "JPY", type: "fiat" };
+const USD = { code: "USD", type: "fiat" };
+
+// El fixture solo tiene monedas fiduciarias: tocar criptomonedas es un error
+const noCrypto = new Proxy(
+  {},
+  {
+    get: (target, property) => () => {
+      throw new Error(`Proveedor de criptomonedas no esperado: ${property}`);
+    },
+  }
+);
+
+function createEngine() {
+  return new ConversionEngine({
+    fiat: new FixtureProvider({ source: fixture }),
+    crypto: noCrypto,
+  });
+}
+
+// Tasa cruzada del fixture, calculada igual que FixtureProvider
+function fixtureRate(day, from, to) {
+  const rates = fixture.rates[day];
+  const rateOf = (code) => (code === fixture.base ? 1 : rates[code]);
+  return rateOf(to) / rateOf(from);
+}
+
+async function assertConversionError(promise, code) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ConversionError);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+before(() => {
+  setFiatMinorUnits(readJson("../data/currencies.json").currencies);
+});
+
+test("convierte con las tasas del último día del fixture", async () => {
+  const conversion = await createEngine().convert("100", EUR, ARS);
+  const rate = fixtureRate(LAST_DAY, "EUR", "ARS");
+
+  assert.equal(conversion.rate.toNumber(), rate);
+  assert.equal(conversion.result.toString(), (100 * rate).toFixed(2));
+  assert.equal(conversion.timestamp, Date.parse(LAST_DAY));
+  assert.equal(conversion.date, null);
+  assert.equal(conversion.offline, false);
+  assert.deepEqual(
+    conversion.sources.map((source) => source.name),
+    ["Fixture local"]
+  );
+});
+
+test("redondea el resultado a las unidades menores de la moneda", async () => {
+  const conversion = await createEngine().convert("10.5", USD, JPY);
+
+  // JPY no tiene decimales
+  assert.equal(
+    conversion.result.toString(),
+    String(Math.round(10.5 * 149.6336))
+  );
+});
+
+test("convierte con las tasas de una fecha pasada", async () => {
+  const conversion = await createEngine().convert("1", USD, EUR, {
+    date: "2026-09-15",
+  });
+
+  assert.equal(
+    conversion.rate.toNumber(),
+    fixtureRate("2026-09-15", "USD", "EUR")
+  );
+  assert.equal(conversion.date, "2026-09-15");
+  assert.equal(conversion.timestamp, Date.parse("2026-09-15"));
+});
+
+test("el monto de destino da el de origen redondeado con la misma tasa", async () => {
+  const conversion = await createEngine().convertFromTarget("1000", EUR, ARS);
+  const rate = fixtureRate(LAST_DAY, "EUR", "ARS");
+
+  assert.equal(conversion.result.toString(), "1000");
+  assert.equal(conversion.amount.toString(), (1000 / rate).toFixed(2));
+});
+
+test("convierte a varias monedas con una tasa por destino", async () => {
+  const rows = await createEngine().convertMany("50", USD, [EUR, ARS]);
+
+  assert.deepEqual(
+    rows.map(({ target, conversion }) => [
+      target.code,
+      conversion.result.toString(),
+    ]),
+    [
+      ["EUR", (50 * fixtureRate(LAST_DAY, "USD", "EUR")).toFixed(2)],
+      ["ARS", (50 * fixtureRate(LAST_DAY, "USD", "ARS")).toFixed(2)],
+    ]
+  );
+});
+
+test("la moneda origen entre los destinos tiene la forma de las demás", async () => {
+  const [same, other] = await createEngine().convertMany("50", USD, [USD, EUR]);
+
+  assert.deepEqual(Object.keys(same.conversion), Object.keys(other.conversion));
+  assert.equal(same.conversion.rate.toString(), "1");
+  assert.equal(same.conversion.result.toString(), "50");
+  assert.equal(same.conversion.timestamp, other.conversion.timestamp);
+  assert.equal(same.conversion.date, null);
+  assert.equal(same.conversion.rateType, null);
+  assert.deepEqual(same.conversion.sources, []);
+});
+
+test("rechaza montos, fechas y pares inválidos con su código", async () => {
+  const engine = createEngine();
+
+  await assertConversionError(engine.convert("0", EUR, ARS), "invalid-amount");
+  await assertConversionError(
+    engine.convert("abc", EUR, ARS),
+    "invalid-amount"
+  );
+  await assertConversionError(engine.convert("1", EUR, EUR), "same-currency");
+  await assertConversionError(
+    engine.convert("1", EUR, ARS, { date: "2026-02-30" }),
+    "invalid-date"
+  );
+  await assertConversionError(
+    engine.convert("1", EUR, ARS, { date: "2999-01-01" }),
+    "invalid-date"
+  );
+});
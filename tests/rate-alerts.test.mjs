@@ -0,0 +1,136 @@
+/**
+ * Verificaciones del monitor de alertas con un motor de prueba, sin red.
+ * Se ejecutan con node --test tests/
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createQuote } from "../js/core/conversion-engine.js";
+import { Decimal } from "../js/core/decimal.js";
+import { RateAlertMonitor } from "../js/core/rate-alerts.js";
+import { AlertStore } from "../js/storage/alert-store.js";
+
+const USD = { code: "USD", type: "fiat" };
+const EUR = { code: "EUR", type: "fiat" };
+const ARS = { code: "ARS", type: "fiat" };
+
+// Motor que responde con las tasas dadas por código de destino. Las que son
+// un Error se rechazan de inmediato y las demás tardan un poco, así un par
+// posterior falla mientras el anterior sigue pendiente.
+function createEngine(rates) {
+  return {
+    getQuote: async (from, to) => {
+      const rate = rates[to.code];
+      if (rate instanceof Error) throw rate;
+
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return createQuote(Decimal.from(rate), { timestamp: Date.now() });
+    },
+  };
+}
+
+function createMonitor(engine, rules) {
+  const store = new AlertStore();
+  rules.forEach((rule) => store.add(rule));
+  const triggered = [];
+  const monitor = new RateAlertMonitor({
+    engine: engine,
+    store: store,
+    onTrigger: (rule, rate) => triggered.push([rule.to.code, rate.toString()]),
+  });
+  return { monitor, store, triggered };
+}
+
+test("un par que falla no deja rechazos sin atender ni frena a los demás", async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on("unhandledRejection", onUnhandled);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const { monitor, triggered } = createMonitor(
+      createEngine({ ARS: "1500", EUR: new Error("sin red para EUR") }),
+      [
+        { from: USD, to: ARS, condition: "above", threshold: "1000" },
+        { from: USD, to: EUR, condition: "below", threshold: "2" },
+      ]
+    );
+
+    await monitor.check();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.deepEqual(unhandled, []);
+    assert.deepEqual(triggered, [["ARS", "1500"]]);
+  } finally {
+    console.warn = warn;
+    process.off("unhandledRejection", onUnhandled);
+  }
+});
+
+test("avisa solo cuando la tasa cruza el umbral", async () => {
+  const rates = { ARS: "900" };
+  const { monitor, store, triggered } = createMonitor(createEngine(rates), [
+    { from: USD, to: ARS, condition: "above", threshold: "1000" },
+  ]);
+
+  await monitor.check();
+  assert.deepEqual(triggered, []);
+
+  rates.ARS = "1100";
+  await monitor.check();
+  await monitor.check();
+  assert.deepEqual(triggered, [["ARS", "1100"]]);
+  assert.equal(store.rules[0].active, true);
+});
+
+test("cotiza los pares con ARS con el tipo de cambio de la regla", async () => {
+  const requested = [];
+  const engine = {
+    getQuote: async (from, to, options) => {
+      requested.push(options.rateType || null);
+      return createQuote(options.rateType === "blue" ? "1400" : "1000", {
+        timestamp: Date.now(),
+      });
+    },
+  };
+  const { monitor, store, triggered } = createMonitor(engine, [
+    { from: USD, to: ARS, condition: "above", threshold: "1200" },
+    {
+      from: USD,
+      to: ARS,
+      condition: "above",
+      threshold: "1200",
+      rateType: "blue",
+    },
+  ]);
+
+  await monitor.check();
+
+  assert.deepEqual(requested.sort(), ["blue", null].sort());
+  assert.deepEqual(triggered, [["ARS", "1400"]]);
+  assert.equal(store.getSamples(USD, ARS, "blue")[0].rate, "1400");
+  assert.equal(store.getSamples(USD, ARS)[0].rate, "1000");
+});
+
+test("las variaciones de un día o más se miden contra el historial recién abierta la página", async () => {
+  const requestedDates = [];
+  const engine = {
+    getQuote: async (from, to, options) => {
+      if (options.date) requestedDates.push(options.date);
+      return createQuote(options.date ? "1.00" : "1.10", {
+        timestamp: Date.now(),
+      });
+    },
+  };
+  const { monitor, triggered } = createMonitor(engine, [
+    { from: USD, to: EUR, condition: "change", threshold: "5", hours: 48 },
+    { from: USD, to: ARS, condition: "change", threshold: "5", hours: 6 },
+  ]);
+
+  await monitor.check();
+
+  assert.deepEqual(requestedDates, [
+    new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString().slice(0, 10),
+  ]);
+  assert.deepEqual(triggered, [["EUR", "1.1"]]);
+});